@@ -0,0 +1,200 @@
+// backend/controllers/adminController.js
+// Admin-only endpoints: mount behind admin authentication (req.user is the signed-in admin).
+
+const mongoose = require('mongoose');
+const { notifyVerification, onboardingSummary, reviewProvider } = require('../utils/onboarding');
+const { listPayouts, resolveDispute, runPayoutCycle } = require('../utils/payouts');
+const { emitBookingEvent } = require('../utils/realtime');
+const { reconcileWallets } = require('../utils/wallet');
+
+const Barber = require('../models/Business');
+
+const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+const PAYOUT_STATUSES = ['initiated', 'processed', 'failed'];
+
+// Bank account numbers are only shown to reviewers with the last 4 digits
+function maskAccountNumber(accountNumber) {
+  if (!accountNumber) return accountNumber;
+  const value = String(accountNumber);
+  return `${'*'.repeat(Math.max(0, value.length - 4))}${value.slice(-4)}`;
+}
+
+/**
+ * Verification queue. status=pending (default) lists submitted providers, oldest submission first.
+ * GET /api/admin/verifications?status=pending|verified|rejected&page=1&limit=20
+ */
+exports.listVerifications = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${VERIFICATION_STATUSES.join(', ')}` });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = { verificationStatus: status, isDeleted: { $ne: true } };
+    if (status === 'pending') filter['onboarding.stage'] = 'submitted';
+
+    const [total, providers] = await Promise.all([
+      Barber.countDocuments(filter),
+      Barber.find(filter)
+        .sort(status === 'pending' ? { 'onboarding.submittedAt': 1 } : { 'onboarding.reviewedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('name businessName businessType city phone email verificationStatus onboarding.submittedAt onboarding.reviewedAt onboarding.rejectionReason')
+    ]);
+
+    res.json({ success: true, page, limit, total, pages: Math.ceil(total / limit), providers });
+  } catch (err) {
+    console.error('listVerifications error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching verification queue' });
+  }
+};
+
+/**
+ * Everything a reviewer needs for one provider: profile, services, documents, masked bank details, onboarding
+ * GET /api/admin/verifications/:barberId
+ */
+exports.getVerification = async (req, res) => {
+  try {
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const bankDetails = barber.bankDetails?.toObject ? barber.bankDetails.toObject() : { ...barber.bankDetails };
+    bankDetails.accountNumber = maskAccountNumber(bankDetails.accountNumber);
+
+    res.json({
+      success: true,
+      provider: {
+        ...barber.getPublicProfile(),
+        email: barber.email,
+        phone: barber.phone,
+        documents: barber.documents,
+        bankDetails
+      },
+      onboarding: onboardingSummary(barber)
+    });
+  } catch (err) {
+    console.error('getVerification error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching provider verification' });
+  }
+};
+
+// Shared by approve / reject
+async function decide(req, res, decision) {
+  try {
+    const barber = await reviewProvider({
+      barberId: req.params.barberId,
+      decision,
+      reason: req.body.reason,
+      by: req.user?.id ? String(req.user.id) : 'admin'
+    });
+
+    notifyVerification(req.app.get('io'), barber);
+
+    res.json({ success: true, onboarding: onboardingSummary(barber) });
+  } catch (err) {
+    console.error(`${decision}Provider error:`, err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error reviewing provider' });
+  }
+}
+
+/**
+ * Approve a submitted provider: they become searchable and bookable
+ * POST /api/admin/verifications/:barberId/approve  { reason? }
+ */
+exports.approveProvider = (req, res) => decide(req, res, 'approve');
+
+/**
+ * Reject a submitted provider; the reason is shown to them and they can fix and resubmit
+ * POST /api/admin/verifications/:barberId/reject  { reason }
+ */
+exports.rejectProvider = (req, res) => decide(req, res, 'reject');
+
+/**
+ * Wallet reconciliation: balances recomputed from the ledger vs the stored balance.
+ * With customerId the one result is returned; otherwise only mismatches (up to limit).
+ * GET /api/admin/wallets/reconcile?customerId=&limit=100
+ */
+exports.reconcileWallets = async (req, res) => {
+  try {
+    const { customerId } = req.query;
+    if (customerId && !mongoose.isValidObjectId(customerId)) return res.status(400).json({ error: 'Invalid customerId' });
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    const results = await reconcileWallets({ customerId, limit });
+    if (customerId && !results.length) return res.status(404).json({ error: 'Customer not found' });
+
+    res.json({
+      success: true,
+      consistent: results.every((r) => r.consistent),
+      results
+    });
+  } catch (err) {
+    console.error('reconcileWallets error:', err);
+    res.status(500).json({ error: err.message || 'Server error reconciling wallets' });
+  }
+};
+
+/**
+ * Run a settlement cycle now instead of waiting for the background job (without a bank transfer adapter
+ * the payouts are batched but not sent: sent: false)
+ * POST /api/admin/payouts/run
+ */
+exports.runPayouts = async (req, res) => {
+  try {
+    const result = await runPayoutCycle({ io: req.app.get('io') });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('runPayouts error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error running payouts' });
+  }
+};
+
+/**
+ * All payouts, newest first
+ * GET /api/admin/payouts?status=initiated|processed|failed&barberId=&page=1&limit=20
+ */
+exports.listPayouts = async (req, res) => {
+  try {
+    const { status, barberId } = req.query;
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${PAYOUT_STATUSES.join(', ')}` });
+    }
+    if (barberId && !mongoose.isValidObjectId(barberId)) return res.status(400).json({ error: 'Invalid barberId' });
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (barberId) filter.barberId = barberId;
+    const { total, payouts } = await listPayouts(filter, { page, limit });
+
+    res.json({ success: true, page, limit, total, pages: Math.ceil(total / limit), payouts });
+  } catch (err) {
+    console.error('listPayouts error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching payouts' });
+  }
+};
+
+/**
+ * Resolve a booking dispute for the provider (earning released to payouts) or the customer (earning
+ * reversed or clawed back; issue any refund separately)
+ * POST /api/admin/bookings/:bookingId/dispute/resolve  { outcome: 'provider'|'customer', note? }
+ */
+exports.resolveDispute = async (req, res) => {
+  try {
+    const { booking, earning } = await resolveDispute(req.params.bookingId, {
+      outcome: req.body.outcome,
+      note: req.body.note,
+      by: req.user?.id ? String(req.user.id) : 'admin'
+    });
+
+    emitBookingEvent(req.app.get('io'), 'dispute-updated', booking, { dispute: booking.dispute });
+
+    res.json({ success: true, dispute: booking.dispute, earning });
+  } catch (err) {
+    console.error('resolveDispute error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error resolving dispute' });
+  }
+};
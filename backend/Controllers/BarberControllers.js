@@ -0,0 +1,381 @@
+// backend/controllers/barberController.js
+
+const httpError = require('../utils/httpError');
+const { toDayKey } = require('../utils/availability');
+const { WEEK_DAYS, findScheduleConflicts, findServiceBookings, parseDate, parseDayHours } = require('../utils/schedule');
+
+const Barber = require('../models/Business');
+
+// Helper: only known service ids may be assigned to a stylist
+function invalidServiceIds(barber, serviceIds = []) {
+  const known = new Set((barber.services || []).map((s) => String(s._id)));
+  return serviceIds.filter((id) => !known.has(String(id)));
+}
+
+// Helper: whitelist editable stylist fields from a request body
+function pickStaffFields(body) {
+  const fields = {};
+  ['name', 'phone', 'profileImage', 'serviceIds', 'commissionPercent', 'schedule', 'isActive'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  return fields;
+}
+
+// Helper: whitelist editable service fields from a request body
+function pickServiceFields(body) {
+  const fields = {};
+  ['name', 'category', 'price', 'duration', 'description', 'image', 'isActive'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  // search matches categories in lower case
+  if (fields.category !== undefined) fields.category = String(fields.category).trim().toLowerCase() || 'general';
+  return fields;
+}
+
+// Helper: the schedule as returned by the schedule endpoints
+function scheduleView(barber) {
+  const { weekDays, holidays, overrides } = barber.schedule;
+  return {
+    weekDays,
+    holidays: holidays.map(toDayKey).sort(),
+    overrides: [...overrides].sort((a, b) => a.date - b.date),
+    prebookWindowDays: barber.prebookWindowDays
+  };
+}
+
+// Helper: surface httpError / validation failures from schedule and service edits
+function sendError(res, label, err) {
+  console.error(`${label} error:`, err);
+  const status = err.status || (err.name === 'ValidationError' ? 400 : 500);
+  res.status(status).json({ error: err.message || `Server error (${label})` });
+}
+
+/**
+ * List stylists of a provider
+ * GET /api/barber/:barberId/staff?includeInactive=true
+ */
+exports.getStaff = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+    const { includeInactive } = req.query;
+
+    const barber = await Barber.findById(barberId).select('staff');
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const staff = includeInactive === 'true' ? barber.staff : barber.staff.filter((m) => m.isActive !== false);
+    res.json({ success: true, staff });
+  } catch (err) {
+    console.error('getStaff error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching staff' });
+  }
+};
+
+/**
+ * Add a stylist
+ * POST /api/barber/:barberId/staff
+ * Body: { name, phone, serviceIds, commissionPercent, schedule }
+ */
+exports.addStaff = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+    const fields = pickStaffFields(req.body);
+    if (!fields.name) return res.status(400).json({ error: 'Stylist name is required' });
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const unknown = invalidServiceIds(barber, fields.serviceIds);
+    if (unknown.length) return res.status(400).json({ error: 'Unknown serviceIds', serviceIds: unknown });
+
+    barber.staff.push(fields);
+    await barber.save();
+
+    res.status(201).json({ success: true, staff: barber.staff[barber.staff.length - 1] });
+  } catch (err) {
+    sendError(res, 'addStaff', err);
+  }
+};
+
+/**
+ * Update a stylist (services, schedule, commission split, ...)
+ * PATCH /api/barber/:barberId/staff/:staffId
+ */
+exports.updateStaff = async (req, res) => {
+  try {
+    const { barberId, staffId } = req.params;
+    const fields = pickStaffFields(req.body);
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const member = barber.staff.id(staffId);
+    if (!member) return res.status(404).json({ error: 'Stylist not found' });
+
+    const unknown = invalidServiceIds(barber, fields.serviceIds);
+    if (unknown.length) return res.status(400).json({ error: 'Unknown serviceIds', serviceIds: unknown });
+
+    member.set(fields);
+    await barber.save();
+
+    res.json({ success: true, staff: member });
+  } catch (err) {
+    sendError(res, 'updateStaff', err);
+  }
+};
+
+/**
+ * Deactivate a stylist (kept for booking history; no longer bookable)
+ * DELETE /api/barber/:barberId/staff/:staffId
+ */
+exports.removeStaff = async (req, res) => {
+  try {
+    const { barberId, staffId } = req.params;
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const member = barber.staff.id(staffId);
+    if (!member) return res.status(404).json({ error: 'Stylist not found' });
+
+    member.isActive = false;
+    await barber.save();
+
+    res.json({ success: true, staff: member });
+  } catch (err) {
+    console.error('removeStaff error:', err);
+    res.status(500).json({ error: err.message || 'Server error removing staff' });
+  }
+};
+
+/**
+ * Service catalogue (inactive services are hidden from customers but kept for booking history)
+ * GET /api/barber/:barberId/services?includeInactive=true
+ */
+exports.getServices = async (req, res) => {
+  try {
+    const barber = await Barber.findById(req.params.barberId).select('services');
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const services =
+      req.query.includeInactive === 'true' ? barber.services : barber.services.filter((s) => s.isActive !== false);
+    res.json({ success: true, services });
+  } catch (err) {
+    sendError(res, 'getServices', err);
+  }
+};
+
+/**
+ * Add a service (provider auth)
+ * POST /api/barber/:barberId/services
+ * Body: { name, category, price, duration, description, image }
+ */
+exports.addService = async (req, res) => {
+  try {
+    const fields = pickServiceFields(req.body);
+    if (!fields.name) return res.status(400).json({ error: 'Service name is required' });
+
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    barber.services.push(fields);
+    await barber.save();
+
+    res.status(201).json({ success: true, service: barber.services[barber.services.length - 1] });
+  } catch (err) {
+    sendError(res, 'addService', err);
+  }
+};
+
+/**
+ * Update a service; isActive: false deactivates it, true brings it back (provider auth)
+ * PATCH /api/barber/:barberId/services/:serviceId
+ * Returns `warnings` for upcoming bookings of a service being deactivated (they are kept).
+ */
+exports.updateService = async (req, res) => {
+  try {
+    const { barberId, serviceId } = req.params;
+    const fields = pickServiceFields(req.body);
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const service = barber.services.id(serviceId);
+    if (!service) return res.status(404).json({ error: 'Service not found' });
+
+    const deactivating = fields.isActive === false && service.isActive !== false;
+    service.set(fields);
+    await barber.save();
+
+    const warnings = deactivating ? await findServiceBookings(barber, serviceId) : [];
+    res.json({ success: true, service, warnings });
+  } catch (err) {
+    sendError(res, 'updateService', err);
+  }
+};
+
+/**
+ * Deactivate a service (kept for booking history; no longer bookable) (provider auth)
+ * DELETE /api/barber/:barberId/services/:serviceId
+ * Returns `warnings` for upcoming bookings that include it.
+ */
+exports.deactivateService = async (req, res) => {
+  try {
+    const { barberId, serviceId } = req.params;
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const service = barber.services.id(serviceId);
+    if (!service) return res.status(404).json({ error: 'Service not found' });
+
+    service.isActive = false;
+    await barber.save();
+
+    res.json({ success: true, service, warnings: await findServiceBookings(barber, serviceId) });
+  } catch (err) {
+    sendError(res, 'deactivateService', err);
+  }
+};
+
+/**
+ * Weekly hours, holidays, date overrides and booking window
+ * GET /api/barber/:barberId/schedule
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const barber = await Barber.findById(req.params.barberId).select('schedule prebookWindowDays');
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    res.json({ success: true, schedule: scheduleView(barber) });
+  } catch (err) {
+    sendError(res, 'getSchedule', err);
+  }
+};
+
+/**
+ * Set weekly hours (only the days given are replaced) and/or the booking window (provider auth)
+ * PUT /api/barber/:barberId/schedule
+ * Body: { weekDays: { Monday: { isOpen, open, close, shifts: [{ open, close }], breaks: [{ start, end }] }, ... },
+ *         prebookWindowDays }
+ * The change is saved; `warnings` lists upcoming bookings now outside working hours.
+ */
+exports.updateWeeklySchedule = async (req, res) => {
+  try {
+    const { weekDays = {}, prebookWindowDays } = req.body;
+    const unknown = Object.keys(weekDays).filter((day) => !WEEK_DAYS.includes(day));
+    if (unknown.length) return res.status(400).json({ error: `Unknown days: ${unknown.join(', ')}` });
+    if (prebookWindowDays !== undefined) {
+      const days = Number(prebookWindowDays);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return res.status(400).json({ error: 'prebookWindowDays must be a whole number from 0 to 365' });
+      }
+    }
+
+    const hours = {};
+    Object.entries(weekDays).forEach(([day, input]) => {
+      hours[day] = parseDayHours(input, day);
+    });
+
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    Object.entries(hours).forEach(([day, value]) => barber.set(`schedule.weekDays.${day}`, value));
+    if (prebookWindowDays !== undefined) barber.prebookWindowDays = Number(prebookWindowDays);
+    await barber.save();
+
+    res.json({ success: true, schedule: scheduleView(barber), warnings: await findScheduleConflicts(barber) });
+  } catch (err) {
+    sendError(res, 'updateWeeklySchedule', err);
+  }
+};
+
+/**
+ * Hours for one date, replacing that weekday's hours (e.g. open late before a festival) (provider auth)
+ * PUT /api/barber/:barberId/schedule/overrides/:date   (date: YYYY-MM-DD)
+ * Body: { isOpen, open, close, shifts, breaks, note }
+ */
+exports.setScheduleOverride = async (req, res) => {
+  try {
+    const dayKey = parseDate(req.params.date);
+    const hours = parseDayHours(req.body, dayKey);
+
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const overrides = barber.schedule.overrides.filter((o) => toDayKey(o.date) !== dayKey);
+    overrides.push({ ...hours, date: new Date(dayKey), note: req.body.note });
+    barber.schedule.overrides = overrides;
+    await barber.save();
+
+    res.json({ success: true, schedule: scheduleView(barber), warnings: await findScheduleConflicts(barber, { dayKey }) });
+  } catch (err) {
+    sendError(res, 'setScheduleOverride', err);
+  }
+};
+
+/**
+ * Drop a date override (the weekday's hours apply again) (provider auth)
+ * DELETE /api/barber/:barberId/schedule/overrides/:date
+ */
+exports.removeScheduleOverride = async (req, res) => {
+  try {
+    const dayKey = parseDate(req.params.date);
+
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const overrides = barber.schedule.overrides.filter((o) => toDayKey(o.date) !== dayKey);
+    if (overrides.length === barber.schedule.overrides.length) throw httpError(404, 'No override for this date');
+    barber.schedule.overrides = overrides;
+    await barber.save();
+
+    res.json({ success: true, schedule: scheduleView(barber), warnings: await findScheduleConflicts(barber, { dayKey }) });
+  } catch (err) {
+    sendError(res, 'removeScheduleOverride', err);
+  }
+};
+
+/**
+ * Close for a whole day (provider auth)
+ * PUT /api/barber/:barberId/schedule/holidays/:date
+ * `warnings` lists that day's upcoming bookings, which the provider should reschedule or cancel.
+ */
+exports.addHoliday = async (req, res) => {
+  try {
+    const dayKey = parseDate(req.params.date);
+
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    if (!barber.schedule.holidays.some((h) => toDayKey(h) === dayKey)) {
+      barber.schedule.holidays.push(new Date(dayKey));
+      await barber.save();
+    }
+
+    res.json({ success: true, schedule: scheduleView(barber), warnings: await findScheduleConflicts(barber, { dayKey }) });
+  } catch (err) {
+    sendError(res, 'addHoliday', err);
+  }
+};
+
+/**
+ * Reopen a holiday (provider auth)
+ * DELETE /api/barber/:barberId/schedule/holidays/:date
+ */
+exports.removeHoliday = async (req, res) => {
+  try {
+    const dayKey = parseDate(req.params.date);
+
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const holidays = barber.schedule.holidays.filter((h) => toDayKey(h) !== dayKey);
+    if (holidays.length === barber.schedule.holidays.length) throw httpError(404, 'This date is not a holiday');
+    barber.schedule.holidays = holidays;
+    await barber.save();
+
+    res.json({ success: true, schedule: scheduleView(barber) });
+  } catch (err) {
+    sendError(res, 'removeHoliday', err);
+  }
+};
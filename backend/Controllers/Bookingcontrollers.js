@@ -2,6 +2,18 @@
 
 const Booking = require('../models/Booking');
 const Customer = require('../models/Customer');
+const SlotReservation = require('../models/SlotReservation');
+const { getAvailability, normalizeTime, toDateTime, toDayKey } = require('../utils/availability');
+const { transitionBooking } = require('../utils/bookingStatus');
+const { isHomeLocation, quoteHomeService } = require('../utils/geo');
+const { stopTracking } = require('../utils/tracking');
+const { refundCancelledBooking } = require('../utils/refunds');
+const { placeBooking, reservedMinutes } = require('../utils/bookings');
+const { emitBookingEvent } = require('../utils/realtime');
+const { parseServiceIds, resolveServices } = require('../utils/services');
+const { markOccurrence } = require('../utils/recurring');
+const { offerFreedSlot } = require('../utils/waitlist');
+const { accrueEarning, openDispute } = require('../utils/payouts');
 
 // Try to require Barber, fallback to Business if present
 let Barber;
@@ -16,75 +28,94 @@ try {
 }
 
 /**
- * Create a new booking
- * Expects: { customerId, barberId, serviceId, date, time, location, paymentMethod }
+ * Get bookable start slots for a provider
+ * URL: GET /api/booking/availability/:barberId?date=YYYY-MM-DD&serviceId=
+ *      (or &serviceIds=id1,id2 for a multi-service appointment, &staffId= for one stylist,
+ *      &locationType=home&lng=&lat= for a home visit: checks the service area, quotes the fee
+ *      and keeps travel time free around other home visits)
  */
-exports.createBooking = async (req, res) => {
+exports.getAvailability = async (req, res) => {
   try {
-    const { customerId, barberId, serviceId, date, time, location = {}, paymentMethod } = req.body;
+    const { barberId } = req.params;
+    const { date, serviceId, serviceIds, staffId, locationType, lng, lat } = req.query;
+    const ids = parseServiceIds(serviceIds, serviceId);
 
-    if (!customerId || !barberId || !serviceId || !date || !time || !paymentMethod) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!barberId || !date || !ids.length) {
+      return res.status(400).json({ error: 'barberId, date and serviceId(s) are required' });
     }
 
-    // Ensure barber model is available
     if (!Barber) return res.status(500).json({ error: 'Provider model not available on server' });
 
     const barber = await Barber.findById(barberId);
     if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
 
-    // Find the service inside barber.services
-    const service = (barber.services || []).find((s) => {
-      if (!s) return false;
-      // s._id might be ObjectId or string
-      return s._id?.toString() === serviceId?.toString() || String(s._id) === String(serviceId);
+    const bundle = resolveServices(barber, ids);
+    if (!bundle) return res.status(404).json({ error: 'Requested service not found for this provider' });
+
+    let location;
+    let homeService;
+    if (isHomeLocation({ type: locationType })) {
+      location = { type: 'home', coordinates: { type: 'Point', coordinates: [Number(lng), Number(lat)] } };
+      homeService = quoteHomeService(barber, location);
+    }
+
+    const availability = await getAvailability(barber, date, bundle.duration, {
+      staffId: staffId && staffId !== 'any' ? staffId : undefined,
+      serviceIds: ids,
+      location
     });
+    if (!availability.date) return res.status(400).json({ error: 'Invalid date (expected YYYY-MM-DD)' });
 
-    if (!service) return res.status(404).json({ error: 'Requested service not found for this provider' });
+    res.json({
+      success: true,
+      date: availability.date,
+      serviceIds: ids,
+      duration: bundle.duration,
+      slots: availability.slots,
+      reason: availability.reason,
+      staff: availability.staff,
+      homeService
+    });
+  } catch (err) {
+    console.error('getAvailability error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error fetching availability', ...err.details });
+  }
+};
 
-    // Calculate amounts
-    let totalAmount = Number(service.price || 0);
-    let homeServiceFee = 0;
+/**
+ * Create a new booking
+ * Expects: { customerId, barberId, serviceIds | serviceId, staffId?, date, time, location, paymentMethod }
+ * serviceIds is an ordered list booked back-to-back as a single appointment.
+ * staffId picks a stylist; omit it (or send 'any') for the first available one.
+ */
+exports.createBooking = async (req, res) => {
+  try {
+    const { customerId, barberId, serviceId, serviceIds, staffId, date, time, location = {}, paymentMethod } = req.body;
+    const ids = parseServiceIds(serviceIds, serviceId);
+    const requestedStaffId = staffId && staffId !== 'any' ? staffId : undefined;
 
-    if (location.type === 'home' || location.type === 'house' || location.type === 'home_service') {
-      homeServiceFee = Number(barber.homeServiceFee || 0);
-      totalAmount += homeServiceFee;
+    if (!customerId || !barberId || !ids.length || !date || !time || !paymentMethod) {
+      return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    const commissionRate = Number(barber.commissionRatePercent ?? barber.commissionRate ?? 20); // support both fields
-    const commission = Math.round((totalAmount * commissionRate) / 100);
-    const barberAmount = Math.max(0, totalAmount - commission);
+    // Ensure barber model is available
+    if (!Barber) return res.status(500).json({ error: 'Provider model not available on server' });
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
 
-    // Create booking document
-    const booking = new Booking({
+    const booking = await placeBooking({
+      barber,
       customerId,
-      barberId,
-      serviceId,
-      serviceName: service.name || '',
-      date: new Date(date),
+      serviceIds: ids,
+      staffId: requestedStaffId,
+      date,
       time,
-      duration: service.duration || null,
       location,
-      price: Number(service.price || 0),
-      commission,
-      discountApplied: 0,
-      homeServiceFee,
-      totalAmount,
-      paymentMethod,
-      paymentStatus: paymentMethod === 'cod' ? 'unpaid' : 'unpaid', // server should verify on payment success
-      status: 'pending'
+      paymentMethod
     });
 
-    await booking.save();
-
-    // Update barber stats atomically if possible
-    barber.totalBookings = (barber.totalBookings || 0) + 1;
-    // ensure earnings shape exists
-    barber.earnings = barber.earnings || { today: 0, month: 0, total: 0 };
-    await barber.save();
-
-    // OPTIONAL: emit socket event for new booking (if you pass io to controllers)
-    // req.app.get('io')?.to(`barber-${barberId}`).emit('new-booking', booking);
+    emitBookingEvent(req.app.get('io'), 'new-booking', booking);
 
     res.status(201).json({
       success: true,
@@ -93,12 +124,15 @@ exports.createBooking = async (req, res) => {
         status: booking.status,
         totalAmount: booking.totalAmount,
         date: booking.date,
-        time: booking.time
+        time: booking.time,
+        staffId: booking.staffId,
+        staffName: booking.staffName,
+        holdExpiresAt: booking.holdExpiresAt
       }
     });
   } catch (err) {
     console.error('createBooking error:', err);
-    res.status(500).json({ error: err.message || 'Server error creating booking' });
+    res.status(err.status || 500).json({ error: err.message || 'Server error creating booking', ...err.details });
   }
 };
 
@@ -168,21 +202,155 @@ exports.acceptBooking = async (req, res) => {
     const { bookingId } = req.params;
     if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
 
-    const booking = await Booking.findByIdAndUpdate(
-      bookingId,
-      { status: 'confirmed', updatedAt: new Date() },
-      { new: true }
+    const booking = await transitionBooking(bookingId, 'confirmed', { by: 'provider' });
+
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking);
+
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('acceptBooking error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error accepting booking' });
+  }
+};
+
+/**
+ * Reject a pending booking (provider) — paid bookings are refunded in full
+ * PATCH /api/booking/:bookingId/reject
+ * Body: { reason }
+ */
+exports.rejectBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { reason } = req.body;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    let booking = await transitionBooking(bookingId, 'rejected', { by: 'provider', reason });
+    booking = await refundCancelledBooking(booking, { by: 'provider', reason });
+    // the booking and its refund are committed: follow-ups are best-effort and never fail the request
+    await markOccurrence(booking, 'cancelled').catch((err) => console.error('markOccurrence error:', err));
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking, { reason, refund: booking.refundInfo });
+
+    // offer the freed slot to the waitlist
+    await offerFreedSlot(booking, { io: req.app.get('io') }).catch((err) =>
+      console.error('offerFreedSlot error:', err)
     );
 
-    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('rejectBooking error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error rejecting booking' });
+  }
+};
 
-    // OPTIONAL: notify customer/barber via socket or push
-    // req.app.get('io')?.to(`booking-${bookingId}`).emit('status-changed', booking);
+/**
+ * Cancel a booking (customer) — paid bookings are refunded per the cancellation policy
+ * PATCH /api/booking/:bookingId/cancel
+ * Body: { reason }
+ */
+exports.cancelBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { reason } = req.body;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    let booking = await transitionBooking(bookingId, 'cancelled', { by: 'customer', reason });
+    // refund paid bookings according to the provider's cancellation policy
+    booking = await refundCancelledBooking(booking, { by: 'customer', reason });
+    // the booking and its refund are committed: follow-ups are best-effort and never fail the request
+    await markOccurrence(booking, 'cancelled').catch((err) => console.error('markOccurrence error:', err));
+    await stopTracking(req.app.get('io'), booking, 'cancelled').catch((err) =>
+      console.error('stopTracking error:', err)
+    );
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking, { reason, refund: booking.refundInfo });
+
+    // offer the freed slot to the waitlist
+    await offerFreedSlot(booking, { io: req.app.get('io') }).catch((err) =>
+      console.error('offerFreedSlot error:', err)
+    );
 
     res.json({ success: true, booking });
   } catch (err) {
-    console.error('acceptBooking error:', err);
-    res.status(500).json({ error: err.message || 'Server error accepting booking' });
+    console.error('cancelBooking error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error cancelling booking' });
+  }
+};
+
+/**
+ * Provider sets off for a home-service booking: marks it en-route and starts live location sharing.
+ * The provider app then emits 'provider-location' { bookingId, coordinates: [lng, lat] }
+ * over the socket; the customer's booking room receives 'provider-location' with distance and ETA.
+ * PATCH /api/booking/:bookingId/en-route
+ */
+exports.startTrip = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    const existing = await Booking.findById(bookingId).select('location');
+    if (!existing) return res.status(404).json({ error: 'Booking not found' });
+    if (!isHomeLocation(existing.location)) {
+      return res.status(400).json({ error: 'Only home-service bookings can be tracked' });
+    }
+
+    const booking = await transitionBooking(bookingId, 'en-route', {
+      by: 'provider',
+      set: { tracking: { status: 'sharing', startedAt: new Date() } }
+    });
+
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking);
+
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('startTrip error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error starting trip' });
+  }
+};
+
+/**
+ * Start service: mark a confirmed (or en-route) booking as in-progress
+ * PATCH /api/booking/:bookingId/start
+ */
+exports.startBooking = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    const booking = await transitionBooking(bookingId, 'in-progress', { by: 'provider' });
+    // the provider is at the customer's, whatever the last position said
+    await stopTracking(req.app.get('io'), booking, 'arrived');
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking);
+
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('startBooking error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error starting booking' });
+  }
+};
+
+/**
+ * Mark a confirmed booking as no-show (only once its start time has passed)
+ * PATCH /api/booking/:bookingId/no-show
+ */
+exports.markNoShow = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    const existing = await Booking.findById(bookingId).select('date time');
+    if (!existing) return res.status(404).json({ error: 'Booking not found' });
+
+    if (toDateTime(toDayKey(existing.date), existing.time) > new Date()) {
+      return res.status(400).json({ error: 'Cannot mark no-show before the appointment time' });
+    }
+
+    const booking = await transitionBooking(bookingId, 'no-show', { by: 'provider' });
+    await stopTracking(req.app.get('io'), booking, 'no-show');
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking);
+
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('markNoShow error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error marking no-show' });
   }
 };
 
@@ -195,13 +363,9 @@ exports.completeBooking = async (req, res) => {
     const { bookingId } = req.params;
     if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
 
-    const booking = await Booking.findByIdAndUpdate(
-      bookingId,
-      { status: 'completed', completedAt: new Date(), paymentStatus: 'paid', updatedAt: new Date() },
-      { new: true }
-    );
-
-    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    // Only a confirmed / en-route / in-progress booking can complete, so earnings and loyalty are credited once
+    const booking = await transitionBooking(bookingId, 'completed', { by: 'provider' });
+    await stopTracking(req.app.get('io'), booking, 'completed');
 
     // Update barber earnings (safely)
     if (booking.barberId) {
@@ -212,8 +376,16 @@ exports.completeBooking = async (req, res) => {
         barber.earnings.today = (barber.earnings.today || 0) + barberEarning;
         barber.earnings.month = (barber.earnings.month || 0) + barberEarning;
         barber.earnings.total = (barber.earnings.total || 0) + barberEarning;
+
+        // stylist's split of the provider amount
+        const member = booking.staffId ? barber.staff?.id(booking.staffId) : null;
+        if (member) member.totalEarnings = (member.totalEarnings || 0) + (booking.staffEarning || 0);
+
         await barber.save();
       }
+
+      // provider share owed for payout, only once paid; later payments and lost accruals are picked up by the payout cycle
+      await accrueEarning(booking).catch((err) => console.error('accrueEarning error:', err));
     }
 
     // Add loyalty points to customer (10 points = ₹1)
@@ -226,13 +398,215 @@ exports.completeBooking = async (req, res) => {
       }
     }
 
-    // OPTIONAL: emit events
-    // req.app.get('io')?.to(`booking-${bookingId}`).emit('status-changed', booking);
+    emitBookingEvent(req.app.get('io'), 'status-changed', booking);
 
     res.json({ success: true, booking });
   } catch (err) {
     console.error('completeBooking error:', err);
-    res.status(500).json({ error: err.message || 'Server error completing booking' });
+    res.status(err.status || 500).json({ error: err.message || 'Server error completing booking' });
+  }
+};
+
+/**
+ * Request a reschedule (customer) — proposes a new date/time for the provider to approve
+ * POST /api/booking/:bookingId/reschedule
+ * Body: { date, time, reason }
+ */
+exports.requestReschedule = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { date, time, reason } = req.body;
+    if (!bookingId || !date || !time) return res.status(400).json({ error: 'bookingId, date and time are required' });
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({ error: `Cannot reschedule a ${booking.status} booking` });
+    }
+    if (booking.rescheduleRequest?.status === 'pending') {
+      return res.status(409).json({ error: 'A reschedule request is already awaiting the provider' });
+    }
+
+    const barber = await Barber.findById(booking.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const policy = barber.reschedulePolicy || {};
+    const maxReschedules = Number(policy.maxReschedules ?? 2);
+    const cutoffHours = Number(policy.cutoffHours ?? 12);
+
+    if ((booking.rescheduleCount || 0) >= maxReschedules) {
+      return res.status(400).json({ error: `This booking can be rescheduled at most ${maxReschedules} time(s)` });
+    }
+
+    const currentStart = toDateTime(toDayKey(booking.date), booking.time);
+    if (currentStart.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Reschedule requests close ${cutoffHours}h before the appointment` });
+    }
+
+    // Same validation as a new booking, ignoring the slot this booking already holds
+    const dayKey = toDayKey(date);
+    const slotTime = normalizeTime(time);
+    if (!dayKey || !slotTime) {
+      return res.status(400).json({ error: 'Invalid date or time (expected YYYY-MM-DD and HH:mm)' });
+    }
+    if (dayKey === toDayKey(booking.date) && slotTime === booking.time) {
+      return res.status(400).json({ error: 'Proposed slot is the same as the current one' });
+    }
+
+    const availability = await getAvailability(barber, dayKey, booking.duration, {
+      excludeBookingId: booking._id,
+      staffId: booking.staffId || undefined,
+      location: booking.location
+    });
+    if (!availability.slots.includes(slotTime)) {
+      return res.status(409).json({
+        error: 'Requested slot is not available',
+        reason: availability.reason,
+        availableSlots: availability.slots
+      });
+    }
+
+    booking.rescheduleRequest = {
+      date: new Date(dayKey),
+      time: slotTime,
+      reason,
+      status: 'pending',
+      requestedAt: new Date()
+    };
+    await booking.save();
+
+    emitBookingEvent(req.app.get('io'), 'reschedule-updated', booking, { rescheduleRequest: booking.rescheduleRequest });
+
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('requestReschedule error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error requesting reschedule' });
+  }
+};
+
+/**
+ * Accept a pending reschedule request (provider) — moves the booking, keeping its payment
+ * PATCH /api/booking/:bookingId/reschedule/accept
+ */
+exports.acceptReschedule = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+    const request = booking.rescheduleRequest;
+    if (request?.status !== 'pending') return res.status(409).json({ error: 'No pending reschedule request' });
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({ error: `Cannot reschedule a ${booking.status} booking` });
+    }
+
+    const barber = await Barber.findById(booking.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    // The proposed slot was not held while waiting, so check it again
+    const dayKey = toDayKey(request.date);
+    const availability = await getAvailability(barber, dayKey, booking.duration, {
+      excludeBookingId: booking._id,
+      staffId: booking.staffId || undefined,
+      location: booking.location
+    });
+    const moved =
+      availability.slots.includes(request.time) &&
+      (await SlotReservation.move({
+        barberId: booking.barberId,
+        staffId: booking.staffId,
+        date: dayKey,
+        time: request.time,
+        duration: reservedMinutes(barber, booking),
+        bookingId: booking._id
+      }));
+
+    if (!moved) {
+      return res.status(409).json({
+        error: 'The proposed slot is no longer available',
+        availableSlots: availability.slots
+      });
+    }
+
+    const now = new Date();
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'rescheduleRequest.status': 'pending' },
+      {
+        $set: {
+          date: request.date,
+          time: request.time,
+          'rescheduleRequest.status': 'accepted',
+          'rescheduleRequest.previousDate': booking.date,
+          'rescheduleRequest.previousTime': booking.time,
+          'rescheduleRequest.respondedAt': now
+        },
+        $inc: { rescheduleCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      // request was declined meanwhile: put the reservation back on the original slot
+      await SlotReservation.move({
+        barberId: booking.barberId,
+        staffId: booking.staffId,
+        date: toDayKey(booking.date),
+        time: booking.time,
+        duration: reservedMinutes(barber, booking),
+        bookingId: booking._id
+      });
+      return res.status(409).json({ error: 'Reschedule request was modified concurrently' });
+    }
+
+    // the original slot is free again (best-effort: the move is already saved)
+    await offerFreedSlot(
+      { barberId: booking.barberId, date: booking.date, time: booking.time, staffId: booking.staffId },
+      { io: req.app.get('io') }
+    ).catch((err) => console.error('offerFreedSlot error:', err));
+
+    emitBookingEvent(req.app.get('io'), 'reschedule-updated', updated, { rescheduleRequest: updated.rescheduleRequest });
+
+    res.json({ success: true, booking: updated });
+  } catch (err) {
+    console.error('acceptReschedule error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error accepting reschedule' });
+  }
+};
+
+/**
+ * Decline a pending reschedule request (provider) — the booking keeps its original slot
+ * PATCH /api/booking/:bookingId/reschedule/decline
+ * Body: { reason }
+ */
+exports.declineReschedule = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { reason } = req.body;
+    if (!bookingId) return res.status(400).json({ error: 'Missing bookingId parameter' });
+
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, 'rescheduleRequest.status': 'pending' },
+      {
+        $set: {
+          'rescheduleRequest.status': 'declined',
+          'rescheduleRequest.declineReason': reason,
+          'rescheduleRequest.respondedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!booking) return res.status(409).json({ error: 'No pending reschedule request for this booking' });
+
+    emitBookingEvent(req.app.get('io'), 'reschedule-updated', booking, { rescheduleRequest: booking.rescheduleRequest });
+
+    res.json({ success: true, booking });
+  } catch (err) {
+    console.error('declineReschedule error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error declining reschedule' });
   }
 };
 
@@ -292,3 +666,24 @@ exports.submitReview = async (req, res) => {
     res.status(500).json({ error: err.message || 'Server error submitting review' });
   }
 };
+
+/**
+ * Dispute a completed booking (customer) within PAYOUT_DISPUTE_WINDOW_DAYS of completion. The provider's
+ * earning for it is held back from payouts until an admin resolves the dispute.
+ * POST /api/booking/:bookingId/dispute
+ * Body: { customerId, reason }
+ */
+exports.openDispute = async (req, res) => {
+  try {
+    const { customerId, reason } = req.body;
+    if (!customerId) return res.status(400).json({ error: 'customerId is required' });
+
+    const booking = await openDispute(req.params.bookingId, { customerId, reason });
+    emitBookingEvent(req.app.get('io'), 'dispute-updated', booking, { dispute: booking.dispute });
+
+    res.status(201).json({ success: true, dispute: booking.dispute });
+  } catch (err) {
+    console.error('openDispute error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error opening dispute' });
+  }
+};
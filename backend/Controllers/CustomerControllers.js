@@ -0,0 +1,283 @@
+// backend/controllers/customerController.js
+
+const Customer = require('../models/Customer');
+const { recommendProviders } = require('../utils/recommendations');
+const { parseSearchParams, searchProviders } = require('../utils/search');
+const { suggest } = require('../utils/textSearch');
+
+const Barber = require('../models/Business');
+
+const MAX_ADDRESSES = 10;
+
+// Saved-address fields from a request body; { error } when coordinates are unusable
+function addressFields(body = {}) {
+  const fields = {};
+  ['label', 'address', 'landmark', 'city', 'pincode'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = String(body[key]).trim();
+  });
+
+  if (body.lat !== undefined || body.lng !== undefined) {
+    const lat = Number(body.lat);
+    const lng = Number(body.lng);
+    if (body.lat === null && body.lng === null) {
+      fields.lat = undefined;
+      fields.lng = undefined;
+    } else if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return { error: 'lat and lng must be given together as valid coordinates' };
+    } else {
+      fields.lat = lat;
+      fields.lng = lng;
+    }
+  }
+  return { fields };
+}
+
+// keep exactly one primary address: `primaryId` wins, else the existing primary, else the first
+function settlePrimary(customer, primaryId) {
+  const { addresses } = customer;
+  if (!addresses.length) return;
+  const keep =
+    (primaryId && addresses.id(primaryId)) || addresses.find((a) => a.isPrimary) || addresses[0];
+  addresses.forEach((a) => {
+    a.isPrimary = a._id.equals(keep._id);
+  });
+}
+
+/**
+ * Search providers near the customer, by text and/or by filters
+ * GET /api/customer/search?q=keratin &lat=&lng=&radiusKm=10
+ *     &businessType=barber,salon &category=haircut &minPrice=&maxPrice= &minRating=4
+ *     &homeService=true &languages=hi,en &city= &openNow=true
+ *     &sort=relevance|distance|rating|price &page=1 &limit=20
+ * Results are public profiles plus distanceKm (when lat/lng given) and fromPrice (cheapest matching service).
+ * `q` tolerates typos; `corrections` tells the app which spellings a misspelt word was matched with.
+ */
+exports.searchProviders = async (req, res) => {
+  try {
+    const params = parseSearchParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const { total, results, corrections } = await searchProviders(params);
+
+    res.json({
+      success: true,
+      page: params.page,
+      limit: params.limit,
+      total,
+      pages: Math.ceil(total / params.limit),
+      sort: params.sort,
+      corrections,
+      results
+    });
+  } catch (err) {
+    console.error('searchProviders error:', err);
+    res.status(500).json({ error: err.message || 'Server error searching providers' });
+  }
+};
+
+/**
+ * Autocomplete for the search box: matching service names, categories, tags and shop names
+ * GET /api/customer/search/suggest?q=bridal ma&limit=10
+ */
+exports.searchSuggestions = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 100);
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    if (!q) return res.json({ success: true, suggestions: [] });
+
+    res.json({ success: true, suggestions: await suggest(q, { limit }) });
+  } catch (err) {
+    console.error('searchSuggestions error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching suggestions' });
+  }
+};
+
+/**
+ * Personalised provider recommendations ("Recommended for you")
+ * GET /api/customer/recommendations?customerId=&lat=&lng=&limit=10
+ * lat/lng override the customer's preferred location; without either, nearby ranking is skipped.
+ */
+exports.getRecommendations = async (req, res) => {
+  try {
+    const { customerId, lat, lng } = req.query;
+    if (!customerId) return res.status(400).json({ error: 'Missing customerId parameter' });
+
+    const customer = await Customer.findById(customerId).select('preferences bookmarkedBarbers');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const near = lat !== undefined && lng !== undefined ? [Number(lng), Number(lat)] : undefined;
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+    const { coldStart, results } = await recommendProviders(customer, { near, limit });
+
+    res.json({ success: true, coldStart, results });
+  } catch (err) {
+    console.error('getRecommendations error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error fetching recommendations' });
+  }
+};
+
+/**
+ * Bookmarked providers (public profiles; deactivated providers are left out)
+ * GET /api/customer/:customerId/bookmarks
+ */
+exports.listBookmarks = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId)
+      .select('bookmarkedBarbers')
+      .populate({ path: 'bookmarkedBarbers', match: { isActive: true, isDeleted: { $ne: true } } });
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    res.json({
+      success: true,
+      bookmarks: customer.bookmarkedBarbers.filter(Boolean).map((b) => b.getPublicProfile())
+    });
+  } catch (err) {
+    console.error('listBookmarks error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching bookmarks' });
+  }
+};
+
+/**
+ * Bookmark a provider (no-op if already bookmarked)
+ * POST /api/customer/:customerId/bookmarks  { barberId }
+ */
+exports.addBookmark = async (req, res) => {
+  try {
+    const { barberId } = req.body;
+    if (!barberId) return res.status(400).json({ error: 'Missing barberId' });
+
+    const barber = await Barber.findOne({ _id: barberId, isActive: true, isDeleted: { $ne: true } }).select('_id');
+    if (!barber) return res.status(404).json({ error: 'Provider not found' });
+
+    const customer = await Customer.findByIdAndUpdate(
+      req.params.customerId,
+      { $addToSet: { bookmarkedBarbers: barber._id }, $set: { updatedAt: new Date() } },
+      { new: true }
+    ).select('bookmarkedBarbers');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    res.status(201).json({ success: true, bookmarkedBarbers: customer.bookmarkedBarbers });
+  } catch (err) {
+    console.error('addBookmark error:', err);
+    res.status(500).json({ error: err.message || 'Server error adding bookmark' });
+  }
+};
+
+/**
+ * Remove a bookmark
+ * DELETE /api/customer/:customerId/bookmarks/:barberId
+ */
+exports.removeBookmark = async (req, res) => {
+  try {
+    const customer = await Customer.findByIdAndUpdate(
+      req.params.customerId,
+      { $pull: { bookmarkedBarbers: req.params.barberId }, $set: { updatedAt: new Date() } },
+      { new: true }
+    ).select('bookmarkedBarbers');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    res.json({ success: true, bookmarkedBarbers: customer.bookmarkedBarbers });
+  } catch (err) {
+    console.error('removeBookmark error:', err);
+    res.status(500).json({ error: err.message || 'Server error removing bookmark' });
+  }
+};
+
+/**
+ * Saved addresses, primary first
+ * GET /api/customer/:customerId/addresses
+ */
+exports.listAddresses = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId).select('addresses');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const addresses = [...customer.addresses].sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+    res.json({ success: true, addresses });
+  } catch (err) {
+    console.error('listAddresses error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching addresses' });
+  }
+};
+
+/**
+ * Save an address. The first address is primary; isPrimary: true moves the primary to this one.
+ * POST /api/customer/:customerId/addresses  { label, address, landmark, city, pincode, lat, lng, isPrimary }
+ */
+exports.addAddress = async (req, res) => {
+  try {
+    const { fields, error } = addressFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!fields.address) return res.status(400).json({ error: 'Missing address' });
+
+    const customer = await Customer.findById(req.params.customerId).select('addresses');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+    if (customer.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({ error: `At most ${MAX_ADDRESSES} addresses can be saved` });
+    }
+
+    customer.addresses.push(fields);
+    const added = customer.addresses[customer.addresses.length - 1];
+    settlePrimary(customer, req.body.isPrimary ? added._id : null);
+    customer.updatedAt = new Date();
+    await customer.save();
+
+    res.status(201).json({ success: true, address: added, addresses: customer.addresses });
+  } catch (err) {
+    console.error('addAddress error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ error: err.message || 'Server error saving address' });
+  }
+};
+
+/**
+ * Edit a saved address (isPrimary: true makes it the primary one)
+ * PUT /api/customer/:customerId/addresses/:addressId
+ */
+exports.updateAddress = async (req, res) => {
+  try {
+    const { fields, error } = addressFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (fields.address === '') return res.status(400).json({ error: 'Address cannot be empty' });
+
+    const customer = await Customer.findById(req.params.customerId).select('addresses');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const address = customer.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ error: 'Address not found' });
+
+    address.set(fields);
+    settlePrimary(customer, req.body.isPrimary ? address._id : null);
+    customer.updatedAt = new Date();
+    await customer.save();
+
+    res.json({ success: true, address, addresses: customer.addresses });
+  } catch (err) {
+    console.error('updateAddress error:', err);
+    res.status(err.name === 'ValidationError' ? 400 : 500).json({ error: err.message || 'Server error updating address' });
+  }
+};
+
+/**
+ * Delete a saved address; if it was primary, the next address becomes primary
+ * DELETE /api/customer/:customerId/addresses/:addressId
+ */
+exports.deleteAddress = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.customerId).select('addresses');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const address = customer.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ error: 'Address not found' });
+
+    address.deleteOne();
+    settlePrimary(customer);
+    customer.updatedAt = new Date();
+    await customer.save();
+
+    res.json({ success: true, addresses: customer.addresses });
+  } catch (err) {
+    console.error('deleteAddress error:', err);
+    res.status(500).json({ error: err.message || 'Server error deleting address' });
+  }
+};
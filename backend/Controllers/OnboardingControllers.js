@@ -0,0 +1,64 @@
+// backend/controllers/onboardingController.js
+
+const { applyOnboardingStep, onboardingSummary, submitForReview } = require('../utils/onboarding');
+
+const Barber = require('../models/Business');
+
+/**
+ * Onboarding progress: current stage, what each step is missing, review status and history
+ * GET /api/barber/:barberId/onboarding
+ */
+exports.getOnboarding = async (req, res) => {
+  try {
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    res.json({ success: true, onboarding: onboardingSummary(barber) });
+  } catch (err) {
+    console.error('getOnboarding error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching onboarding' });
+  }
+};
+
+/**
+ * Save one onboarding step (partial saves allowed; the stage advances once the step is complete)
+ * PUT /api/barber/:barberId/onboarding/:step
+ *   profile:   { name, businessName, businessType, description, tags, address, city, state, zipCode, languages, lat, lng }
+ *   services:  { services: [{ name, category, price, duration, description, image }] }
+ *   documents: { idProof, businessLicense, gstProof, verificationVideo }  (uploaded file URLs)
+ *   bank:      { accountHolder, accountNumber, bankName, ifscCode }
+ */
+exports.saveOnboardingStep = async (req, res) => {
+  try {
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const missing = applyOnboardingStep(barber, req.params.step, req.body);
+    await barber.save();
+
+    res.json({ success: true, missing, onboarding: onboardingSummary(barber) });
+  } catch (err) {
+    console.error('saveOnboardingStep error:', err);
+    const status = err.status || (err.name === 'ValidationError' ? 400 : 500);
+    res.status(status).json({ error: err.message || 'Server error saving onboarding step', ...err.details });
+  }
+};
+
+/**
+ * Submit onboarding for admin review (also used to resubmit after a rejection)
+ * POST /api/barber/:barberId/onboarding/submit
+ */
+exports.submitOnboarding = async (req, res) => {
+  try {
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    submitForReview(barber);
+    await barber.save();
+
+    res.json({ success: true, onboarding: onboardingSummary(barber) });
+  } catch (err) {
+    console.error('submitOnboarding error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error submitting onboarding', ...err.details });
+  }
+};
@@ -1,11 +1,13 @@
 // backend/controllers/paymentController.js
 
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const Customer = require('../models/Customer');
 const Booking = require('../models/Booking');
+const { getGateway } = require('../utils/paymentGateway');
+const { handleWebhookEvent, recordOrder, settlePayment } = require('../utils/payments');
+const { emitBookingEvent } = require('../utils/realtime');
+const { listWalletEntries, postWalletEntry } = require('../utils/wallet');
 
 // Try to require Barber or Business for any payout/refund logic if needed
 let Barber;
@@ -19,11 +21,6 @@ try {
   }
 }
 
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
 // Helper: consistent error response
 function handleError(res, err) {
   console.error(err);
@@ -31,14 +28,15 @@ function handleError(res, err) {
 }
 
 /**
- * Create a Razorpay order to add money to wallet.
+ * Create a gateway order to add money to wallet.
  * Request body: { customerId, amount }
- * Response: { orderId, amount, key }
+ * Response: { orderId, amount, key, gateway }
  */
 exports.addMoneyToWallet = async (req, res) => {
   try {
     const { customerId, amount } = req.body;
     if (!customerId || !amount) return res.status(400).json({ success: false, error: 'customerId and amount required' });
+    if (!mongoose.isValidObjectId(customerId)) return res.status(400).json({ success: false, error: 'Invalid customerId' });
 
     const numericAmount = Number(amount);
     if (isNaN(numericAmount) || numericAmount <= 0) return res.status(400).json({ success: false, error: 'Invalid amount' });
@@ -49,20 +47,22 @@ exports.addMoneyToWallet = async (req, res) => {
       return res.status(400).json({ success: false, error: `Minimum amount is ₹${MIN_TOPUP}` });
     }
 
-    // create razorpay order (amount in paise)
-    const order = await razorpay.orders.create({
-      amount: Math.round(numericAmount * 100),
+    const gateway = getGateway();
+    const order = await gateway.createOrder({
+      amount: numericAmount,
       currency: 'INR',
       receipt: `wallet_${customerId}_${Date.now()}`,
       notes: { customerId }
     });
+    await recordOrder(order, { purpose: 'wallet_top_up', customerId, amount: numericAmount });
 
     return res.json({
       success: true,
       orderId: order.id,
       amount: numericAmount,
       currency: order.currency,
-      key: process.env.RAZORPAY_KEY_ID
+      key: gateway.publicKey,
+      gateway: gateway.name
     });
   } catch (err) {
     return handleError(res, err);
@@ -71,66 +71,37 @@ exports.addMoneyToWallet = async (req, res) => {
 
 /**
  * Verify wallet payment (after client-side checkout)
- * Request body: { orderId, paymentId, signature, customerId, amount }
- * On success: credit customer's wallet and record transaction
+ * Request body: { orderId, paymentId, signature, customerId }
+ * On success: credit customer's wallet with the amount of the order. The payment is settled once,
+ * whether this call or the webhook comes first; replays return the same ledger entry.
  */
 exports.verifyWalletPayment = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
   try {
-    const { orderId, paymentId, signature, customerId, amount } = req.body;
-    if (!orderId || !paymentId || !signature || !customerId || !amount) {
-      await session.abortTransaction();
-      session.endSession();
+    const { orderId, paymentId, signature, customerId } = req.body;
+    if (!orderId || !paymentId || !signature || !customerId) {
       return res.status(400).json({ success: false, error: 'Missing parameters' });
     }
 
-    // Verify signature
-    const body = orderId + '|' + paymentId;
-    const expectedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(body).digest('hex');
-
-    if (expectedSignature !== signature) {
-      await session.abortTransaction();
-      session.endSession();
+    if (!getGateway().verifyPaymentSignature({ orderId, paymentId, signature })) {
       return res.status(400).json({ success: false, error: 'Invalid payment signature' });
     }
 
-    const customer = await Customer.findById(customerId).session(session);
-    if (!customer) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({ success: false, error: 'Customer not found' });
-    }
-
-    const prev = Number(customer.wallet?.balance || 0);
-    const creditAmount = Number(amount);
-
-    customer.wallet = customer.wallet || { balance: 0, transactions: [] };
-    customer.wallet.balance = prev + creditAmount;
-
-    customer.wallet.transactions = customer.wallet.transactions || [];
-    customer.wallet.transactions.push({
-      type: 'add_money',
-      amount: creditAmount,
-      previousBalance: prev,
-      newBalance: customer.wallet.balance,
-      reference: paymentId,
-      date: new Date()
+    const { entry, duplicate } = await settlePayment({
+      orderId,
+      paymentId,
+      via: 'verify',
+      expect: { purpose: 'wallet_top_up', customerId },
+      io: req.app.get('io')
     });
 
-    await customer.save({ session });
-
-    await session.commitTransaction();
-    session.endSession();
-
     return res.json({
       success: true,
-      message: 'Payment verified and wallet credited',
-      newBalance: customer.wallet.balance
+      message: duplicate ? 'Payment already credited' : 'Payment verified and wallet credited',
+      newBalance: entry.balanceAfter,
+      entry
     });
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message, ...err.details });
     return handleError(res, err);
   }
 };
@@ -138,7 +109,7 @@ exports.verifyWalletPayment = async (req, res) => {
 /**
  * Process booking payment.
  * - Wallet: deduct and mark booking paid
- * - Online (upi/card): create Razorpay order and return orderId for client checkout
+ * - Online (upi/card): create a gateway order and return orderId for client checkout
  *
  * Request body: { bookingId, customerId, paymentMethod }
  */
@@ -166,6 +137,13 @@ exports.processBookingPayment = async (req, res) => {
       return res.status(400).json({ success: false, error: 'Booking already paid' });
     }
 
+    // an abandoned checkout hold may already have lapsed; the sweeper frees the slot shortly
+    if (!['pending', 'confirmed', 'en-route'].includes(booking.status) || (booking.holdExpiresAt && booking.holdExpiresAt <= new Date())) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({ success: false, error: 'Booking hold has expired, please book again' });
+    }
+
     const customer = await Customer.findById(customerId).session(session);
     if (!customer) {
       await session.abortTransaction();
@@ -181,49 +159,49 @@ exports.processBookingPayment = async (req, res) => {
     }
 
     if (paymentMethod === 'wallet') {
-      // Ensure sufficient balance
-      customer.wallet = customer.wallet || { balance: 0, transactions: [] };
-      if (customer.wallet.balance < amount) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ success: false, error: 'Insufficient wallet balance' });
-      }
-
-      const prevBalance = customer.wallet.balance;
-      customer.wallet.balance = prevBalance - amount;
-      customer.wallet.transactions.push({
-        type: 'booking_payment',
-        amount: -amount,
-        previousBalance: prevBalance,
-        newBalance: customer.wallet.balance,
-        reference: bookingId,
-        date: new Date()
-      });
+      // conditional debit: fails with 400 when the balance is short, even under concurrent payments
+      const { entry } = await postWalletEntry(
+        {
+          customerId: customer._id,
+          type: 'debit',
+          amount,
+          kind: 'booking_payment',
+          counterAccount: 'bookings',
+          reference: String(booking._id),
+          description: `Booking ${booking.serviceName || ''}`.trim(),
+          idempotencyKey: `booking_payment:${booking._id}`
+        },
+        { session }
+      );
 
       // mark booking paid
       booking.paymentStatus = 'paid';
-      booking.transactionId = `WALLET_${Date.now()}`;
-      await customer.save({ session });
+      booking.transactionId = `WALLET_${entry._id}`;
+      booking.holdExpiresAt = undefined;
       await booking.save({ session });
 
       await session.commitTransaction();
       session.endSession();
 
+      emitBookingEvent(req.app.get('io'), 'payment-updated', booking);
+
       return res.json({
         success: true,
         message: 'Payment processed via wallet',
-        newBalance: customer.wallet.balance,
+        newBalance: entry.balanceAfter,
         bookingId: booking._id
       });
     }
 
-    // For online payment (upi/card/netbanking) create razorpay order
-    const order = await razorpay.orders.create({
-      amount: Math.round(amount * 100),
+    // For online payment (upi/card/netbanking) create a gateway order
+    const gateway = getGateway();
+    const order = await gateway.createOrder({
+      amount,
       currency: 'INR',
       receipt: `booking_${bookingId}_${Date.now()}`,
       notes: { bookingId, customerId }
     });
+    await recordOrder(order, { purpose: 'booking', customerId: customer._id, bookingId: booking._id, amount });
 
     // commit nothing changed (read-only for now)
     await session.commitTransaction();
@@ -234,63 +212,64 @@ exports.processBookingPayment = async (req, res) => {
       orderId: order.id,
       amount,
       currency: order.currency,
-      key: process.env.RAZORPAY_KEY_ID
+      key: gateway.publicKey,
+      gateway: gateway.name
     });
   } catch (err) {
-    await session.abortTransaction();
+    if (session.inTransaction()) await session.abortTransaction();
     session.endSession();
+    // insufficient balance (400) / a concurrent wallet payment of the same booking (409)
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message, ...err.details });
     return handleError(res, err);
   }
 };
 
 /**
- * Verify booking payment (client sends returned razorpay fields)
+ * Verify booking payment (client sends the fields returned by checkout)
  * Request body: { orderId, paymentId, signature, bookingId, customerId }
- * On success: mark booking paymentStatus: 'paid', save transactionId
+ * On success: mark booking paymentStatus: 'paid', save transactionId and turn the
+ * checkout hold into a confirmed booking. A payment that arrives after the hold was
+ * cancelled, or for a booking already paid another way, is refunded in full.
+ * The webhook may have settled the payment first; repeats answer from the booking.
  */
 exports.verifyBookingPayment = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
   try {
     const { orderId, paymentId, signature, bookingId, customerId } = req.body;
     if (!orderId || !paymentId || !signature || !bookingId || !customerId) {
-      await session.abortTransaction();
-      session.endSession();
       return res.status(400).json({ success: false, error: 'Missing parameters' });
     }
 
-    // Verify signature
-    const body = orderId + '|' + paymentId;
-    const expectedSignature = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET).update(body).digest('hex');
-    if (expectedSignature !== signature) {
-      await session.abortTransaction();
-      session.endSession();
+    if (!getGateway().verifyPaymentSignature({ orderId, paymentId, signature })) {
       return res.status(400).json({ success: false, error: 'Invalid payment signature' });
     }
 
-    const booking = await Booking.findById(bookingId).session(session);
-    const customer = await Customer.findById(customerId).session(session);
+    const { booking, released, alreadyPaid, refund } = await settlePayment({
+      orderId,
+      paymentId,
+      via: 'verify',
+      expect: { purpose: 'booking', customerId, bookingId },
+      io: req.app.get('io')
+    });
 
-    if (!booking || !customer) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({ success: false, error: 'Booking or Customer not found' });
+    if (released || alreadyPaid) {
+      return res.status(409).json({
+        success: false,
+        error: released
+          ? 'Booking hold expired before payment completed; the payment is being refunded'
+          : 'Booking was already paid; this payment is being refunded',
+        bookingId: booking._id,
+        refund
+      });
     }
 
-    // mark booking paid
-    booking.paymentStatus = 'paid';
-    booking.transactionId = paymentId;
-    await booking.save({ session });
-
-    // Optionally credit barber pending payout, update booking status etc.
-    // commit
-    await session.commitTransaction();
-    session.endSession();
-
-    return res.json({ success: true, message: 'Payment verified and booking marked paid', bookingId: booking._id });
+    return res.json({
+      success: true,
+      message: 'Payment verified and booking confirmed',
+      bookingId: booking._id,
+      status: booking.status
+    });
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message, ...err.details });
     return handleError(res, err);
   }
 };
@@ -305,9 +284,10 @@ exports.refundPayment = async (req, res) => {
     const { paymentId, amount, reason, bookingId } = req.body;
     if (!paymentId || !amount) return res.status(400).json({ success: false, error: 'paymentId and amount required' });
 
-    // Create refund via Razorpay
-    const refund = await razorpay.payments.refund(paymentId, {
-      amount: Math.round(Number(amount) * 100),
+    // Create refund via the gateway
+    const gateway = getGateway();
+    const refund = await gateway.refund(paymentId, {
+      amount: Number(amount),
       notes: { reason: reason || 'refund', bookingId: bookingId || '' }
     });
 
@@ -315,15 +295,17 @@ exports.refundPayment = async (req, res) => {
     if (bookingId) {
       const booking = await Booking.findById(bookingId);
       if (booking) {
-        booking.paymentStatus = 'refunded';
-        booking.refundInfo = booking.refundInfo || {};
-        booking.refundInfo.lastRefund = {
+        booking.paymentStatus = Number(amount) >= Number(booking.totalAmount || 0) ? 'refunded' : 'partially_refunded';
+        booking.refundInfo = {
           refundId: refund.id,
-          amount,
+          amount: Number(amount),
+          method: gateway.name,
+          status: refund.status === 'processed' ? 'processed' : 'pending',
           reason,
           createdAt: new Date()
         };
         await booking.save();
+        emitBookingEvent(req.app.get('io'), 'payment-updated', booking, { refund: booking.refundInfo });
       }
     }
 
@@ -334,23 +316,29 @@ exports.refundPayment = async (req, res) => {
 };
 
 /**
- * Get wallet balance & latest transactions
- * GET /api/payment/wallet-balance/:customerId
+ * Get wallet balance & a page of ledger entries (newest first)
+ * GET /api/payment/wallet-balance/:customerId?page=1&limit=20
  */
 exports.getWalletBalance = async (req, res) => {
   try {
     const { customerId } = req.params;
     if (!customerId) return res.status(400).json({ success: false, error: 'customerId required' });
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
 
-    const customer = await Customer.findById(customerId).select('wallet');
+    const customer = await Customer.findById(customerId).select('wallet.balance');
     if (!customer) return res.status(404).json({ success: false, error: 'Customer not found' });
 
-    const transactions = (customer.wallet.transactions || []).slice(-20).reverse();
+    const { total, entries } = await listWalletEntries(customer._id, { page, limit });
 
     return res.json({
       success: true,
-      balance: customer.wallet.balance || 0,
-      transactions
+      balance: customer.wallet?.balance || 0,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      transactions: entries
     });
   } catch (err) {
     return handleError(res, err);
@@ -358,35 +346,66 @@ exports.getWalletBalance = async (req, res) => {
 };
 
 /**
- * Optional: Razorpay webhook handler (verify signature header)
+ * Razorpay webhook. Settles payments even when the client never calls verify:
+ * payment.captured / order.paid (wallet credit or booking paid), payment.failed, refund.processed.
  * - Register webhook in Razorpay dashboard
  * - Set webhook secret as RAZORPAY_WEBHOOK_SECRET
+ * - The mock gateway (PAYMENT_GATEWAY=mock) posts its webhooks here in the same format
+ * - Needs the raw body (req.rawBody, kept by the JSON parser in Server.js) for the signature
+ * Errors answer 500 so Razorpay retries the delivery.
  *
  * POST /api/payment/webhook
  */
 exports.razorpayWebhook = async (req, res) => {
   try {
-    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    const body = JSON.stringify(req.body);
     const signature = req.headers['x-razorpay-signature'];
 
-    if (!signature || !secret) {
-      return res.status(400).send('Missing signature or secret');
+    if (!signature) {
+      return res.status(400).send('Missing signature');
     }
 
-    const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
-    if (expected !== signature) {
+    // false as well when the gateway has no webhook secret configured
+    if (!getGateway().verifyWebhookSignature(req.rawBody, signature)) {
       return res.status(400).send('Invalid signature');
     }
 
-    // Process webhook events as needed: payment.captured, payment.refunded etc.
-    const event = req.body;
-    // example:
-    // if (event.event === 'payment.captured') { ... }
+    const result = await handleWebhookEvent(req.body, {
+      eventId: req.headers['x-razorpay-event-id'],
+      io: req.app.get('io')
+    });
 
-    res.json({ success: true });
+    res.json({ success: true, ...result });
   } catch (err) {
     console.error('webhook error', err);
     res.status(500).send('server error');
   }
 };
+
+/**
+ * Local checkout for the mock gateway (PAYMENT_GATEWAY=mock only): pays an order the way Razorpay Checkout
+ * would and returns its { orderId, paymentId, signature } for verify-wallet / verify-booking. Webhooks follow.
+ * Request body: { orderId, outcome?: 'success'|'failure', delayMs? }
+ * POST /api/payment/mock/checkout
+ */
+exports.mockCheckout = async (req, res) => {
+  try {
+    const gateway = getGateway();
+    if (gateway.name !== 'mock') return res.status(404).json({ success: false, error: 'Mock checkout is not enabled' });
+
+    const { orderId, outcome, delayMs } = req.body;
+    if (!orderId) return res.status(400).json({ success: false, error: 'orderId required' });
+
+    const result = await gateway.checkout(orderId, {
+      outcome,
+      delayMs: delayMs === undefined ? undefined : Math.min(30000, Math.max(0, Number(delayMs) || 0))
+    });
+
+    if (result.status === 'failed') {
+      return res.status(402).json({ success: false, error: result.error, orderId, paymentId: result.paymentId });
+    }
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, error: err.message });
+    return handleError(res, err);
+  }
+};
@@ -0,0 +1,78 @@
+// backend/controllers/payoutController.js
+// Provider payout history. Mount behind authenticate + requireProvider (utils/auth.js).
+
+const mongoose = require('mongoose');
+const Earning = require('../models/Earning');
+const Payout = require('../models/Payout');
+const { listPayouts, payoutSummary } = require('../utils/payouts');
+
+const Barber = require('../models/Business');
+
+const PAYOUT_STATUSES = ['initiated', 'processed', 'failed'];
+
+/**
+ * Balance breakdown: owed in total, payable in the next batch, still settling, held by disputes, in flight
+ * GET /api/barber/:barberId/payouts/summary
+ */
+exports.getPayoutSummary = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.barberId)) return res.status(400).json({ error: 'Invalid barberId' });
+    const barber = await Barber.findById(req.params.barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    res.json({ success: true, summary: await payoutSummary(barber) });
+  } catch (err) {
+    console.error('getPayoutSummary error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching payout summary' });
+  }
+};
+
+/**
+ * Payout history, newest first
+ * GET /api/barber/:barberId/payouts?status=initiated|processed|failed&page=1&limit=20
+ */
+exports.listPayouts = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+    if (!mongoose.isValidObjectId(barberId)) return res.status(400).json({ error: 'Invalid barberId' });
+    const { status } = req.query;
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${PAYOUT_STATUSES.join(', ')}` });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = { barberId };
+    if (status) filter.status = status;
+    const { total, payouts } = await listPayouts(filter, { page, limit });
+
+    res.json({ success: true, page, limit, total, pages: Math.ceil(total / limit), payouts });
+  } catch (err) {
+    console.error('listPayouts error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching payouts' });
+  }
+};
+
+/**
+ * One payout with the bookings it settled (a failed payout's earnings have moved on to a later batch)
+ * GET /api/barber/:barberId/payouts/:payoutId
+ */
+exports.getPayout = async (req, res) => {
+  try {
+    const { barberId, payoutId } = req.params;
+    if (!mongoose.isValidObjectId(barberId)) return res.status(400).json({ error: 'Invalid barberId' });
+    if (!mongoose.isValidObjectId(payoutId)) return res.status(400).json({ error: 'Invalid payoutId' });
+
+    const payout = await Payout.findOne({ _id: payoutId, barberId });
+    if (!payout) return res.status(404).json({ error: 'Payout not found' });
+
+    const earnings = await Earning.find({ payoutId: payout._id })
+      .sort({ accruedAt: 1 })
+      .populate('bookingId', 'date time serviceName totalAmount status');
+
+    res.json({ success: true, payout, earnings });
+  } catch (err) {
+    console.error('getPayout error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching payout' });
+  }
+};
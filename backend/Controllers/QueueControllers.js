@@ -0,0 +1,224 @@
+// backend/controllers/queueController.js
+
+const Customer = require('../models/Customer');
+const QueueEntry = require('../models/QueueEntry');
+const { DEFAULT_DURATION_MINUTES, activeStaff, isOpenAt, localDayKey } = require('../utils/availability');
+const { ACTIVE_STATUSES, getQueueSnapshot, publishQueue } = require('../utils/queue');
+const { parseServiceIds, resolveServices } = require('../utils/services');
+
+const Barber = require('../models/Business');
+
+// Allowed queue moves: from -> [to]
+const QUEUE_TRANSITIONS = {
+  waiting: ['serving', 'left', 'no-show'],
+  serving: ['done']
+};
+
+// Helper: load a provider that is currently taking walk-ins, or send the error response
+async function loadOpenQueue(res, barberId) {
+  const barber = await Barber.findById(barberId);
+  if (!barber) {
+    res.status(404).json({ error: 'Barber / Provider not found' });
+    return null;
+  }
+  if (!barber.acceptsWalkIns) {
+    res.status(400).json({ error: 'This provider does not accept walk-ins' });
+    return null;
+  }
+  if (!isOpenAt(barber)) {
+    res.status(400).json({ error: 'The shop is closed right now' });
+    return null;
+  }
+  return barber;
+}
+
+// Helper: services (optional) -> { serviceIds, serviceName, duration }
+function queueServiceFields(barber, serviceIds) {
+  const ids = parseServiceIds(serviceIds);
+  if (!ids.length) return { serviceIds: [], serviceName: '', duration: DEFAULT_DURATION_MINUTES };
+
+  const bundle = resolveServices(barber, ids);
+  if (!bundle) return null;
+  return {
+    serviceIds: ids,
+    serviceName: bundle.services.map((s) => s.name).join(' + '),
+    duration: bundle.duration || DEFAULT_DURATION_MINUTES
+  };
+}
+
+// Helper: requested stylist as one of the provider's active staff; undefined = whoever is free first,
+// null = not a stylist here
+function queueStaffId(barber, staffId) {
+  if (!staffId || staffId === 'any') return undefined;
+  const member = activeStaff(barber).find((m) => String(m._id) === String(staffId));
+  return member ? member._id : null;
+}
+
+/**
+ * Public queue view (no contact details) with positions and estimated waits
+ * GET /api/barber/:barberId/queue
+ */
+exports.getQueue = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const snapshot = await getQueueSnapshot(barber);
+    res.json({
+      success: true,
+      queueDate: snapshot.queueDate,
+      waiting: snapshot.waiting,
+      entries: snapshot.publicEntries
+    });
+  } catch (err) {
+    console.error('getQueue error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching queue' });
+  }
+};
+
+/**
+ * Provider queue view (full entries incl. phone numbers)
+ * GET /api/barber/:barberId/queue/manage
+ */
+exports.getQueueForProvider = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const snapshot = await getQueueSnapshot(barber);
+    res.json({ success: true, queueDate: snapshot.queueDate, waiting: snapshot.waiting, entries: snapshot.entries });
+  } catch (err) {
+    console.error('getQueueForProvider error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching queue' });
+  }
+};
+
+/**
+ * Staff add a walk-in customer
+ * POST /api/barber/:barberId/queue/walk-in
+ * Body: { name, phone, serviceIds, staffId }
+ */
+exports.addWalkIn = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+    const { name, phone, serviceIds, staffId } = req.body;
+    if (!name) return res.status(400).json({ error: 'name is required' });
+
+    const barber = await loadOpenQueue(res, barberId);
+    if (!barber) return;
+
+    const services = queueServiceFields(barber, serviceIds);
+    if (!services) return res.status(404).json({ error: 'Requested service not found for this provider' });
+    const memberId = queueStaffId(barber, staffId);
+    if (memberId === null) return res.status(404).json({ error: 'Stylist not found' });
+
+    const entry = await QueueEntry.create({
+      barberId,
+      staffId: memberId,
+      name,
+      phone,
+      source: 'walk-in',
+      ...services,
+      queueDate: localDayKey(new Date())
+    });
+
+    const snapshot = await publishQueue(req.app.get('io'), barber);
+    const mine = snapshot.entries.find((e) => String(e._id) === String(entry._id));
+
+    res.status(201).json({ success: true, entry: mine || entry });
+  } catch (err) {
+    console.error('addWalkIn error:', err);
+    res.status(500).json({ error: err.message || 'Server error adding walk-in' });
+  }
+};
+
+/**
+ * Customer joins the queue remotely from the app
+ * POST /api/barber/:barberId/queue/join
+ * Body: { customerId, serviceIds, staffId }
+ */
+exports.joinQueue = async (req, res) => {
+  try {
+    const { barberId } = req.params;
+    const { customerId, serviceIds, staffId } = req.body;
+    if (!customerId) return res.status(400).json({ error: 'customerId is required' });
+
+    const customer = await Customer.findById(customerId).select('name phone');
+    if (!customer) return res.status(404).json({ error: 'Customer not found' });
+
+    const barber = await loadOpenQueue(res, barberId);
+    if (!barber) return;
+
+    // queues reset daily, so an entry left active on an earlier day does not count
+    const queueDate = localDayKey(new Date());
+    const existing = await QueueEntry.findOne({ customerId, queueDate, status: { $in: ACTIVE_STATUSES } });
+    if (existing) return res.status(409).json({ error: 'You are already in a queue', entryId: existing._id });
+
+    const services = queueServiceFields(barber, serviceIds);
+    if (!services) return res.status(404).json({ error: 'Requested service not found for this provider' });
+    const memberId = queueStaffId(barber, staffId);
+    if (memberId === null) return res.status(404).json({ error: 'Stylist not found' });
+
+    const entry = await QueueEntry.create({
+      barberId,
+      staffId: memberId,
+      customerId,
+      name: customer.name,
+      phone: customer.phone,
+      source: 'remote',
+      ...services,
+      queueDate
+    });
+
+    const snapshot = await publishQueue(req.app.get('io'), barber);
+    const mine = snapshot.publicEntries.find((e) => String(e.entryId) === String(entry._id));
+
+    res.status(201).json({ success: true, entry: mine });
+  } catch (err) {
+    console.error('joinQueue error:', err);
+    res.status(500).json({ error: err.message || 'Server error joining queue' });
+  }
+};
+
+/**
+ * Move a queue entry along: serving / done / left / no-show
+ * PATCH /api/barber/:barberId/queue/:entryId
+ * Body: { status }
+ */
+exports.updateQueueEntry = async (req, res) => {
+  try {
+    const { barberId, entryId } = req.params;
+    const { status } = req.body;
+
+    const entry = await QueueEntry.findOne({ _id: entryId, barberId });
+    if (!entry) return res.status(404).json({ error: 'Queue entry not found' });
+
+    if (!(QUEUE_TRANSITIONS[entry.status] || []).includes(status)) {
+      return res.status(409).json({ error: `Cannot change queue entry from ${entry.status} to ${status}` });
+    }
+
+    const now = new Date();
+    const update = { status };
+    if (status === 'serving') update.servedAt = now;
+    else update.finishedAt = now;
+
+    const updated = await QueueEntry.findOneAndUpdate(
+      { _id: entry._id, status: entry.status },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Queue entry was modified concurrently, please retry' });
+
+    const barber = await Barber.findById(barberId);
+    if (barber) await publishQueue(req.app.get('io'), barber);
+
+    res.json({ success: true, entry: updated });
+  } catch (err) {
+    console.error('updateQueueEntry error:', err);
+    res.status(500).json({ error: err.message || 'Server error updating queue' });
+  }
+};
@@ -0,0 +1,140 @@
+// backend/controllers/recurringController.js
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const { localDayKey, toDayKey } = require('../utils/availability');
+const { transitionBooking } = require('../utils/bookingStatus');
+const { generateOccurrences, markOccurrence } = require('../utils/recurring');
+const { refundCancelledBooking } = require('../utils/refunds');
+const { stopTracking } = require('../utils/tracking');
+const { offerFreedSlot } = require('../utils/waitlist');
+
+/**
+ * Make a booking recurring: repeat it every N weeks with the same provider, stylist and services
+ * POST /api/booking/:bookingId/recurring
+ * Body: { intervalWeeks, endDate?, maxOccurrences? }
+ */
+exports.createSeries = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { intervalWeeks, endDate, maxOccurrences } = req.body;
+
+    const interval = Number(intervalWeeks);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+      return res.status(400).json({ error: 'intervalWeeks must be a whole number between 1 and 12' });
+    }
+
+    const endKey = endDate ? toDayKey(endDate) : null;
+    if (endDate && !endKey) return res.status(400).json({ error: 'Invalid endDate (expected YYYY-MM-DD)' });
+
+    const limit = maxOccurrences ? Number(maxOccurrences) : null;
+    if (limit !== null && (!Number.isInteger(limit) || limit < 2)) {
+      return res.status(400).json({ error: 'maxOccurrences must be at least 2' });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({ error: `Cannot repeat a ${booking.status} booking` });
+    }
+    if (booking.seriesId) return res.status(409).json({ error: 'Booking is already part of a recurring series' });
+
+    const series = await BookingSeries.create({
+      customerId: booking.customerId,
+      barberId: booking.barberId,
+      staffId: booking.staffId,
+      anchorBookingId: booking._id,
+      intervalWeeks: interval,
+      startDate: booking.date,
+      time: booking.time,
+      endDate: endKey ? new Date(endKey) : undefined,
+      maxOccurrences: limit || undefined,
+      serviceIds: booking.services?.length ? booking.services.map((s) => s.serviceId) : [booking.serviceId],
+      location: booking.location?.toObject ? booking.location.toObject() : booking.location,
+      paymentMethod: booking.paymentMethod,
+      occurrences: [{ date: booking.date, bookingId: booking._id, status: 'booked' }]
+    });
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { seriesId: series._id } });
+
+    const generated = await generateOccurrences(series);
+
+    res.status(201).json({ success: true, series: generated });
+  } catch (err) {
+    console.error('createSeries error:', err);
+    res.status(500).json({ error: err.message || 'Server error creating recurring series' });
+  }
+};
+
+/**
+ * Recurring series of a customer (with occurrence bookings)
+ * GET /api/booking/recurring/customer/:customerId?status=active
+ */
+exports.getCustomerSeries = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { status } = req.query;
+    if (!customerId) return res.status(400).json({ error: 'Missing customerId parameter' });
+
+    const query = { customerId };
+    if (status) query.status = status;
+
+    const series = await BookingSeries.find(query)
+      .populate('barberId', 'businessName name rating reviewCount location')
+      .populate('occurrences.bookingId', 'date time status paymentStatus totalAmount')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, series });
+  } catch (err) {
+    console.error('getCustomerSeries error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching recurring series' });
+  }
+};
+
+/**
+ * Cancel a whole series: stops generation and cancels every upcoming occurrence
+ * (single occurrences are cancelled with PATCH /api/booking/:bookingId/cancel)
+ * DELETE /api/booking/recurring/:seriesId
+ * Body: { reason }
+ */
+exports.cancelSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const { reason = 'recurring series cancelled' } = req.body || {};
+
+    const series = await BookingSeries.findOneAndUpdate(
+      { _id: seriesId, status: 'active' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+    if (!series) return res.status(404).json({ error: 'Active recurring series not found' });
+
+    const io = req.app.get('io');
+    const todayKey = localDayKey(new Date());
+    const cancelled = [];
+
+    for (const occurrence of series.occurrences) {
+      if (!occurrence.bookingId || toDayKey(occurrence.date) < todayKey) continue;
+      let booking;
+      try {
+        booking = await transitionBooking(occurrence.bookingId, 'cancelled', { by: 'customer', reason });
+        booking = await refundCancelledBooking(booking, { by: 'customer', reason });
+      } catch (err) {
+        // already completed / cancelled occurrences are left as they are
+        if (err.status !== 409 && err.status !== 404) throw err;
+        continue;
+      }
+      cancelled.push(booking._id);
+
+      // the cancellation and refund are committed: follow-ups are best-effort and never fail the request
+      await markOccurrence(booking, 'cancelled').catch((err) => console.error('markOccurrence error:', err));
+      await stopTracking(io, booking, 'cancelled').catch((err) => console.error('stopTracking error:', err));
+      await offerFreedSlot(booking, { io }).catch((err) => console.error('offerFreedSlot error:', err));
+    }
+
+    res.json({ success: true, series: await BookingSeries.findById(seriesId), cancelledBookings: cancelled });
+  } catch (err) {
+    console.error('cancelSeries error:', err);
+    res.status(500).json({ error: err.message || 'Server error cancelling recurring series' });
+  }
+};
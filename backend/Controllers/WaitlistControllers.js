@@ -0,0 +1,221 @@
+// backend/controllers/waitlistController.js
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const httpError = require('../utils/httpError');
+const { localDayKey, normalizeTime, toDayKey } = require('../utils/availability');
+const { placeBooking } = require('../utils/bookings');
+const { emitBookingEvent } = require('../utils/realtime');
+const { parseServiceIds, resolveServices } = require('../utils/services');
+const { withdrawOffer } = require('../utils/waitlist');
+
+const Barber = require('../models/Business');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Helper: [{ from, to }] with valid 'HH:mm' values, or null if any window is malformed
+function parsePreferredTimes(preferredTimes = []) {
+  const windows = preferredTimes.map((w) => ({ from: normalizeTime(w?.from), to: normalizeTime(w?.to) }));
+  if (windows.some((w) => !w.from || !w.to || w.from > w.to)) return null;
+  return windows;
+}
+
+/**
+ * Join the waitlist for a provider
+ * POST /api/booking/waitlist
+ * Body: { customerId, barberId, serviceIds | serviceId, staffId, dateFrom, dateTo, preferredTimes: [{ from, to }] }
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { customerId, barberId, serviceId, serviceIds, staffId, dateFrom, dateTo, preferredTimes } = req.body;
+    const ids = parseServiceIds(serviceIds, serviceId);
+
+    if (!customerId || !barberId || !ids.length || !dateFrom) {
+      return res.status(400).json({ error: 'customerId, barberId, serviceId(s) and dateFrom are required' });
+    }
+
+    const barber = await Barber.findById(barberId);
+    if (!barber) return res.status(404).json({ error: 'Barber / Provider not found' });
+
+    const bundle = resolveServices(barber, ids);
+    if (!bundle) return res.status(404).json({ error: 'Requested service not found for this provider' });
+
+    const fromKey = toDayKey(dateFrom);
+    const toKey = toDayKey(dateTo || dateFrom);
+    if (!fromKey || !toKey || fromKey > toKey) return res.status(400).json({ error: 'Invalid date range' });
+
+    const todayKey = localDayKey(new Date());
+    const lastBookable = new Date(Date.parse(todayKey) + Number(barber.prebookWindowDays ?? 30) * MS_PER_DAY);
+    if (toKey < todayKey || new Date(fromKey) > lastBookable) {
+      return res.status(400).json({ error: 'Date range is outside the booking window' });
+    }
+
+    const windows = parsePreferredTimes(preferredTimes);
+    if (!windows) return res.status(400).json({ error: 'Invalid preferredTimes (expected [{ from: HH:mm, to: HH:mm }])' });
+
+    const existing = await WaitlistEntry.findOne({
+      customerId,
+      barberId,
+      status: { $in: ['active', 'offered', 'accepting'] }
+    });
+    if (existing) return res.status(409).json({ error: 'Already on the waitlist for this provider', entryId: existing._id });
+
+    const entry = await WaitlistEntry.create({
+      customerId,
+      barberId,
+      staffId: staffId && staffId !== 'any' ? staffId : undefined,
+      serviceIds: ids,
+      duration: bundle.duration,
+      dateFrom: new Date(fromKey < todayKey ? todayKey : fromKey),
+      dateTo: new Date(toKey),
+      preferredTimes: windows
+    });
+
+    res.status(201).json({ success: true, entry });
+  } catch (err) {
+    console.error('joinWaitlist error:', err);
+    res.status(500).json({ error: err.message || 'Server error joining waitlist' });
+  }
+};
+
+/**
+ * Waitlist entries for a customer
+ * GET /api/booking/waitlist/customer/:customerId?status=active
+ */
+exports.getCustomerWaitlist = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { status } = req.query;
+    if (!customerId) return res.status(400).json({ error: 'Missing customerId parameter' });
+
+    const query = { customerId };
+    if (status) query.status = status;
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('barberId', 'businessName name rating reviewCount location')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, entries });
+  } catch (err) {
+    console.error('getCustomerWaitlist error:', err);
+    res.status(500).json({ error: err.message || 'Server error fetching waitlist' });
+  }
+};
+
+/**
+ * Accept an open offer — becomes a normal booking through the same validation as createBooking
+ * POST /api/booking/waitlist/:entryId/accept
+ * Body: { paymentMethod, location }
+ */
+exports.acceptWaitlistOffer = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+    const { paymentMethod, location = {} } = req.body;
+    if (!paymentMethod) return res.status(400).json({ error: 'paymentMethod is required' });
+
+    // claim the offer first so a concurrent accept, decline or expiry cannot act on it too
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entryId, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+      { $set: { status: 'accepting' } },
+      { new: true }
+    );
+    if (!entry) {
+      const exists = await WaitlistEntry.exists({ _id: entryId });
+      if (!exists) return res.status(404).json({ error: 'Waitlist entry not found' });
+      return res.status(409).json({ error: 'This offer is no longer available' });
+    }
+
+    let booking;
+    try {
+      const barber = await Barber.findById(entry.barberId);
+      if (!barber) throw httpError(404, 'Barber / Provider not found');
+
+      booking = await placeBooking({
+        barber,
+        customerId: entry.customerId,
+        serviceIds: entry.serviceIds,
+        staffId: entry.offer.staffId || undefined,
+        date: toDayKey(entry.offer.date),
+        time: entry.offer.time,
+        location,
+        paymentMethod,
+        holdId: entry.offer.holdId,
+        excludeWaitlistEntryId: entry._id
+      });
+    } catch (err) {
+      // hand the offer back (the sweeper moves it on if it has lapsed meanwhile)
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'accepting' }, { $set: { status: 'offered' } });
+      throw err;
+    }
+
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'accepting' },
+      { $set: { status: 'booked', bookingId: booking._id }, $unset: { offer: 1 } }
+    );
+
+    emitBookingEvent(req.app.get('io'), 'new-booking', booking);
+
+    res.status(201).json({
+      success: true,
+      booking: {
+        id: booking._id,
+        status: booking.status,
+        totalAmount: booking.totalAmount,
+        date: booking.date,
+        time: booking.time,
+        staffId: booking.staffId,
+        staffName: booking.staffName,
+        holdExpiresAt: booking.holdExpiresAt
+      }
+    });
+  } catch (err) {
+    console.error('acceptWaitlistOffer error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Server error accepting offer', ...err.details });
+  }
+};
+
+/**
+ * Decline an open offer; the customer stays on the waitlist and the slot moves to the next person
+ * POST /api/booking/waitlist/:entryId/decline
+ */
+exports.declineWaitlistOffer = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) return res.status(404).json({ error: 'Waitlist entry not found' });
+    if (entry.status !== 'offered') return res.status(409).json({ error: 'No open offer for this entry' });
+
+    await withdrawOffer(entry, 'active', { io: req.app.get('io') });
+
+    res.json({ success: true, entry: await WaitlistEntry.findById(entryId) });
+  } catch (err) {
+    console.error('declineWaitlistOffer error:', err);
+    res.status(500).json({ error: err.message || 'Server error declining offer' });
+  }
+};
+
+/**
+ * Leave the waitlist (any open offer is passed on)
+ * DELETE /api/booking/waitlist/:entryId
+ */
+exports.cancelWaitlistEntry = async (req, res) => {
+  try {
+    const { entryId } = req.params;
+
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) return res.status(404).json({ error: 'Waitlist entry not found' });
+
+    if (entry.status === 'offered') {
+      await withdrawOffer(entry, 'cancelled', { io: req.app.get('io') });
+    } else if (entry.status === 'active') {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'active' }, { $set: { status: 'cancelled' } });
+    } else {
+      return res.status(409).json({ error: `Cannot cancel a ${entry.status} waitlist entry` });
+    }
+
+    res.json({ success: true, entry: await WaitlistEntry.findById(entryId) });
+  } catch (err) {
+    console.error('cancelWaitlistEntry error:', err);
+    res.status(500).json({ error: err.message || 'Server error leaving waitlist' });
+  }
+};
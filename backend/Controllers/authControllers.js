@@ -4,6 +4,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const Customer = require('../models/Customer');
+const { verifyAccessToken } = require('../utils/auth');
 
 // Try to require Barber, fallback to Business model if file named Business.js
 let Provider;
@@ -26,17 +27,19 @@ const { sendResetEmail } = require('../utils/mailer') || {
 
 const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+// kind-less (legacy) refresh tokens are only accepted when they cannot be access tokens signed with JWT_SECRET
+const SEPARATE_REFRESH_SECRET = Boolean(process.env.JWT_REFRESH_SECRET) && JWT_REFRESH_SECRET !== JWT_SECRET;
 const ACCESS_EXPIRES = '7d';
 const REFRESH_EXPIRES = '30d';
 
-// Helper: generate access token
+// Helper: generate access token (`kind` keeps the two token kinds apart when they share a secret)
 function generateAccessToken(id, type) {
-  return jwt.sign({ id, type }, JWT_SECRET, { expiresIn: ACCESS_EXPIRES });
+  return jwt.sign({ id, type, kind: 'access' }, JWT_SECRET, { expiresIn: ACCESS_EXPIRES });
 }
 
 // Helper: generate refresh token
 function generateRefreshToken(id, type) {
-  return jwt.sign({ id, type }, JWT_REFRESH_SECRET, { expiresIn: REFRESH_EXPIRES });
+  return jwt.sign({ id, type, kind: 'refresh' }, JWT_REFRESH_SECRET, { expiresIn: REFRESH_EXPIRES });
 }
 
 // Helper: set refresh token cookie
@@ -174,6 +177,9 @@ exports.refreshToken = async (req, res) => {
     if (!token) return res.status(401).json({ error: 'No refresh token' });
 
     const decoded = jwt.verify(token, JWT_REFRESH_SECRET);
+    // refresh tokens issued before the kind claim carry none
+    const kindless = !decoded.kind && SEPARATE_REFRESH_SECRET;
+    if (decoded.kind !== 'refresh' && !kindless) return res.status(401).json({ error: 'Invalid refresh token' });
     const accessToken = generateAccessToken(decoded.id, decoded.type);
     // optional: issue new refresh token and set cookie
     const newRefresh = generateRefreshToken(decoded.id, decoded.type);
@@ -198,7 +204,7 @@ exports.verifyToken = async (req, res) => {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) return res.status(401).json({ error: 'No token provided' });
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     res.json({ valid: true, decoded });
   } catch (err) {
     res.status(401).json({ error: 'Invalid token' });
@@ -11,6 +11,8 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 const socketIO = require('socket.io');
+const { attachSocketAdapter, createRateLimitStore, closeRedis } = require('./utils/redis');
+const { verifyLegacyProviders } = require('./utils/onboarding');
 
 // App + server
 const app = express();
@@ -19,6 +21,14 @@ const io = new socketIO.Server(server, {
   cors: { origin: process.env.CORS_ORIGIN || '*' }
 });
 
+// expose io to controllers (req.app.get('io'))
+app.set('io', io);
+
+// share rooms across instances when REDIS_URL is set (in-process adapter otherwise)
+attachSocketAdapter(io)
+  .then((attached) => attached && console.log('✅ Socket.io Redis adapter attached'))
+  .catch((err) => console.error('Socket.io Redis adapter error:', err.message));
+
 // ---------- Configuration ----------
 const PORT = parseInt(process.env.PORT, 10) || 5000;
 const MONGO_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/ziva-oneroof';
@@ -33,7 +43,15 @@ app.use(
   })
 );
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // the payment webhook signature is computed over the body exactly as received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/payment/webhook')) req.rawBody = buf;
+    }
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 if (NODE_ENV === 'development') {
@@ -42,11 +60,13 @@ if (NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
-// Basic rate limiter (tweak limits for production)
+// Basic rate limiter (tweak limits for production); counters are shared via Redis when REDIS_URL is set
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 120,
-  message: { error: 'Too many requests, please try again later.' }
+  message: { error: 'Too many requests, please try again later.' },
+  store: createRateLimitStore('rl:api:'),
+  passOnStoreError: true // a Redis outage should not take the API down with it
 });
 app.use('/api/', apiLimiter);
 
@@ -67,12 +87,6 @@ async function connectDB() {
   console.log('✔ MongoDB connected');
 }
 
-// Try connecting at startup
-connectDB().catch(err => {
-  console.error('✖ MongoDB connection error:', err);
-  // don't exit: server may try reconnect later (or implement retry logic)
-});
-
 // (Optional) reconnect logic for long-running processes
 mongoose.connection.on('disconnected', () => {
   console.warn('MongoDB disconnected. Attempting reconnect...');
@@ -105,19 +119,42 @@ app.use('/public', express.static(path.join(__dirname, 'public')));
 app.get('/health', (req, res) => res.json({ status: 'OK', ts: new Date().toISOString() }));
 
 // ---------- Socket.io (Real-time booking updates) ----------
+const { recordProviderLocation } = require('./utils/tracking');
+const { authenticateSocket, canJoinBooking, personalRoom } = require('./utils/realtime');
+
+// JWT handshake: io({ auth: { token: accessToken } })
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  console.log('Socket connected:', socket.id);
+  const { user } = socket.data;
+  console.log('Socket connected:', socket.id, user.type, user.id);
+
+  // own room: customer-<id> or barber-<id> (new-booking, status-changed, payment-updated, waitlist-offer)
+  socket.join(personalRoom(user));
+
+  // join a booking room for updates (only the booking's customer or provider)
+  socket.on('join-booking', async (bookingId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!bookingId) return reply({ ok: false, error: 'bookingId required' });
+    try {
+      if (!(await canJoinBooking(user, bookingId))) return reply({ ok: false, error: 'Not allowed' });
+      socket.join(`booking-${bookingId}`);
+      reply({ ok: true });
+    } catch (err) {
+      reply({ ok: false, error: 'Invalid booking' });
+    }
+  });
 
-  // join a booking room for updates
-  socket.on('join-booking', (bookingId) => {
-    if (!bookingId) return;
-    socket.join(`booking-${bookingId}`);
+  // watch a provider's walk-in queue (positions + estimated waits; public data only)
+  socket.on('join-queue', (barberId) => {
+    if (!barberId) return;
+    socket.join(`queue-${barberId}`);
   });
 
-  // broadcast booking update to booking room
-  socket.on('booking-update', (data) => {
-    if (!data || !data.bookingId) return;
-    io.to(`booking-${data.bookingId}`).emit('status-changed', data);
+  // provider app streams its position while travelling to a home-service booking
+  socket.on('provider-location', (data) => {
+    if (user.type !== 'provider' || !data || !data.bookingId) return;
+    recordProviderLocation(io, { ...data, barberId: user.id }).catch(err => console.error('provider-location error:', err));
   });
 
   socket.on('disconnect', () => {
@@ -126,6 +163,45 @@ io.on('connection', (socket) => {
   });
 });
 
+// ---------- Background jobs ----------
+const { expireWaitlistOffers } = require('./utils/waitlist');
+const { extendRecurringSeries } = require('./utils/recurring');
+const { expireUnpaidHolds } = require('./utils/holds');
+const { runPayoutCycle } = require('./utils/payouts');
+const { bankTransferAvailable } = require('./utils/bankTransfer');
+
+// move lapsed waitlist offers on to the next customer
+const waitlistSweeper = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  expireWaitlistOffers({ io }).catch(err => console.error('waitlist sweep error:', err));
+}, 60 * 1000);
+waitlistSweeper.unref();
+
+// cancel bookings whose online checkout was abandoned and free their slots
+const holdSweeper = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  expireUnpaidHolds({ io }).catch(err => console.error('payment hold sweep error:', err));
+}, 60 * 1000);
+holdSweeper.unref();
+
+// book upcoming recurring occurrences as they enter each provider's prebook window
+const recurringJob = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  extendRecurringSeries().catch(err => console.error('recurring series job error:', err));
+}, 60 * 60 * 1000);
+recurringJob.unref();
+
+// settle provider earnings: batch payable earnings into payouts and send them to the bank
+// (without a bank transfer adapter the batches are recorded and wait, unsent, until one is configured)
+if (!bankTransferAvailable()) {
+  console.warn('Payouts will be batched but not sent: no bank transfer adapter configured (BANK_TRANSFER_PROVIDER)');
+}
+const payoutJob = setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  runPayoutCycle({ io }).catch(err => console.error('payout job error:', err));
+}, 6 * 60 * 60 * 1000);
+payoutJob.unref();
+
 // ---------- Error handling ----------
 app.use((req, res, next) => {
   const err = new Error('Not Found');
@@ -145,12 +221,17 @@ app.use((err, req, res, next) => {
 async function shutdown(signal) {
   console.log(`Received ${signal}. Closing server...`);
   try {
+    clearInterval(waitlistSweeper);
+    clearInterval(holdSweeper);
+    clearInterval(recurringJob);
+    clearInterval(payoutJob);
     server.close(() => {
       console.log('HTTP server closed');
     });
     // close mongoose
     await mongoose.disconnect();
     console.log('MongoDB disconnected');
+    await closeRedis();
     process.exit(0);
   } catch (error) {
     console.error('Error during shutdown', error);
@@ -162,15 +243,25 @@ process.on('SIGINT', () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // ---------- Start server ----------
-server.listen(PORT, async () => {
-  // ensure DB connected before accepting traffic (best-effort)
+// Connect and migrate before accepting traffic: a request that saves a provider loaded before the
+// migration would store the onboarding defaults and hide a live provider (utils/onboarding.js)
+async function start() {
   try {
     await connectDB();
+    const migrated = await verifyLegacyProviders();
+    if (migrated) console.log(`✔ Marked ${migrated} existing provider(s) verified`);
   } catch (err) {
-    // already logged in connectDB
+    console.error('✖ Startup error (retrying in 5s):', err);
+    setTimeout(start, 5000);
+    return;
   }
-  console.log(`🚀 Server listening on port ${PORT}`);
-  console.log(`🔗 API base: http://localhost:${PORT}/api`);
-});
+
+  server.listen(PORT, () => {
+    console.log(`🚀 Server listening on port ${PORT}`);
+    console.log(`🔗 API base: http://localhost:${PORT}/api`);
+  });
+}
+
+start();
 
 module.exports = server;
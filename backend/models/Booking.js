@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+// statuses that no longer occupy the provider's calendar
+const RELEASED_STATUSES = ['cancelled', 'rejected', 'no-show'];
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: String,
+    to: String,
+    by: { type: String, enum: ['customer', 'provider', 'admin', 'system'], default: 'system' },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// One line of a (possibly multi-service) appointment, in the order performed
+const bookingServiceSchema = new mongoose.Schema(
+  {
+    serviceId: { type: String, required: true },
+    name: { type: String, required: true },
+    price: { type: Number, required: true },
+    duration: Number,
+    commission: Number
+  },
+  { _id: false }
+);
+
 const bookingSchema = new mongoose.Schema({
   customerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,6 +49,20 @@ const bookingSchema = new mongoose.Schema({
     required: true
   },
 
+  services: { type: [bookingServiceSchema], default: [] },
+
+  // Recurring series this booking belongs to (BookingSeries)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+
+  // Assigned stylist (Business.staff subdocument) for multi-stylist salons
+  staffId: mongoose.Schema.Types.ObjectId,
+  staffName: String,
+  staffCommissionPercent: Number,
+  staffEarning: Number,
+
   date: { type: Date, required: true },
   time: { type: String, required: true },
   duration: Number,
@@ -37,7 +77,8 @@ const bookingSchema = new mongoose.Schema({
     coordinates: {
       type: { type: String, default: 'Point' },
       coordinates: [Number]   // [longitude, latitude]
-    }
+    },
+    distanceKm: Number        // from the provider, for home service
   },
 
   price: { type: Number, required: true },
@@ -49,7 +90,8 @@ const bookingSchema = new mongoose.Schema({
 
   paymentStatus: {
     type: String,
-    enum: ['unpaid', 'paid', 'refunded'],
+    // failed: the last online attempt failed (payment webhook); the booking can still be paid until its hold lapses
+    enum: ['unpaid', 'failed', 'paid', 'partially_refunded', 'refunded'],
     default: 'unpaid'
   },
 
@@ -61,15 +103,72 @@ const bookingSchema = new mongoose.Schema({
 
   transactionId: String,
 
+  // unpaid online bookings only hold their slot until this time (cleared once paid)
+  holdExpiresAt: Date,
+
+  refundInfo: {
+    refundId: String,
+    amount: Number,
+    percent: Number,
+    method: { type: String, enum: ['wallet', 'razorpay', 'mock'] }, // wallet or the payment gateway's name
+    status: { type: String, enum: ['pending', 'processed', 'failed', 'not_eligible'] },
+    reason: String,
+    error: String,
+    createdAt: Date
+  },
+
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'en-route', 'in-progress', 'completed', 'cancelled', 'rejected', 'no-show'],
     default: 'pending'
   },
 
+  statusHistory: { type: [statusHistorySchema], default: [] },
+
+  // Live provider location while travelling to a home-service booking
+  tracking: {
+    status: { type: String, enum: ['sharing', 'arrived', 'stopped'] },
+    startedAt: Date,
+    lastLocation: {
+      type: { type: String, default: 'Point' },
+      coordinates: [Number]   // [longitude, latitude]
+    },
+    lastUpdateAt: Date,
+    distanceKm: Number,
+    etaMinutes: Number,
+    arrivedAt: Date,
+    stoppedAt: Date
+  },
+
+  // Customer-proposed move, accepted or declined by the provider
+  rescheduleRequest: {
+    date: Date,
+    time: String,
+    reason: String,
+    status: { type: String, enum: ['pending', 'accepted', 'declined'] },
+    previousDate: Date,
+    previousTime: String,
+    declineReason: String,
+    requestedAt: Date,
+    respondedAt: Date
+  },
+  rescheduleCount: { type: Number, default: 0 },
+
+  // Customer complaint about a completed booking; the provider's earning is held back from payouts while open
+  dispute: {
+    status: { type: String, enum: ['open', 'resolved'] },
+    reason: String,
+    openedAt: Date,
+    outcome: { type: String, enum: ['provider', 'customer'] }, // who the dispute was resolved for
+    resolutionNote: String,
+    resolvedBy: String,
+    resolvedAt: Date
+  },
+
   customerNotes: String,
   barberNotes: String,
   cancellationReason: String,
+  cancelledBy: { type: String, enum: ['customer', 'provider', 'admin', 'system'] },
 
   rating: {
     overall: { type: Number, min: 1, max: 5 },
@@ -86,13 +185,19 @@ const bookingSchema = new mongoose.Schema({
 
   createdAt: { type: Date, default: Date.now },
   scheduledAt: Date,
+  startedAt: Date,
   completedAt: Date,
-  cancelledAt: Date
+  cancelledAt: Date,
+  noShowAt: Date
 });
 
 // 🚀 Useful indexes for performance
 bookingSchema.index({ customerId: 1, date: 1 });
 bookingSchema.index({ barberId: 1, date: 1 });
+bookingSchema.index({ barberId: 1, staffId: 1, date: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ holdExpiresAt: 1 }, { sparse: true });
+
+bookingSchema.statics.RELEASED_STATUSES = RELEASED_STATUSES;
 
 module.exports = mongoose.model('Booking', bookingSchema);
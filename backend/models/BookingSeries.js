@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const occurrenceSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    // skipped = provider closed / holiday; conflict = slot taken, customer should pick another time
+    status: {
+      type: String,
+      enum: ['pending', 'booked', 'skipped', 'conflict', 'cancelled'],
+      default: 'pending'
+    },
+    reason: String
+  },
+  { _id: false }
+);
+
+// Recurring appointment: the anchor booking repeated every `intervalWeeks` weeks
+const bookingSeriesSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  barberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  staffId: mongoose.Schema.Types.ObjectId,
+
+  anchorBookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+
+  // rule
+  intervalWeeks: { type: Number, required: true, min: 1, max: 12 },
+  startDate: { type: Date, required: true }, // anchor booking date
+  time: { type: String, required: true }, // 'HH:mm'
+  endDate: Date,
+  maxOccurrences: Number, // including the anchor
+
+  // what each occurrence books
+  serviceIds: { type: [String], required: true },
+  location: {
+    type: { type: String, enum: ['salon', 'home'], default: 'salon' },
+    address: String,
+    coordinates: {
+      type: { type: String, default: 'Point' },
+      coordinates: [Number]
+    }
+  },
+  paymentMethod: String,
+
+  occurrences: { type: [occurrenceSchema], default: [] },
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  cancelledAt: Date
+});
+
+// 🚀 Useful indexes for performance
+bookingSeriesSchema.index({ customerId: 1, status: 1 });
+bookingSeriesSchema.index({ status: 1 });
+bookingSeriesSchema.index({ anchorBookingId: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -31,11 +31,79 @@ const serviceSchema = new Schema(
   { _id: true }
 );
 
+const shiftSchema = new Schema(
+  {
+    open: { type: String, required: true }, // 'HH:mm'
+    close: { type: String, required: true }
+  },
+  { _id: false }
+);
+
+const breakSchema = new Schema(
+  {
+    start: { type: String, required: true }, // 'HH:mm'
+    end: { type: String, required: true }
+  },
+  { _id: false }
+);
+
 const weekdaySchema = new Schema(
   {
     open: { type: String, default: '09:00' }, // store as 'HH:mm' strings for simplicity
     close: { type: String, default: '18:00' },
-    isOpen: { type: Boolean, default: true }
+    isOpen: { type: Boolean, default: true },
+    shifts: { type: [shiftSchema], default: [] }, // split shifts; when set they replace open/close
+    breaks: { type: [breakSchema], default: [] } // e.g. lunch; never bookable
+  },
+  { _id: false }
+);
+
+// Hours for one specific date, replacing that weekday's hours (holidays close the whole day instead)
+const scheduleOverrideSchema = weekdaySchema.clone();
+scheduleOverrideSchema.add({
+  date: { type: Date, required: true }, // UTC midnight of the day, like Booking.date
+  note: { type: String, trim: true }
+});
+
+// Stylist / chair within a salon. Days left unset in `schedule.weekDays` fall back to the shop's hours.
+const staffSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, trim: true },
+    profileImage: { type: String, default: '' },
+    serviceIds: { type: [String], default: [] }, // services this stylist performs; empty = all
+    commissionPercent: { type: Number, default: 0, min: 0, max: 100 }, // stylist's share of the provider amount
+    schedule: {
+      weekDays: {
+        Monday: { type: weekdaySchema },
+        Tuesday: { type: weekdaySchema },
+        Wednesday: { type: weekdaySchema },
+        Thursday: { type: weekdaySchema },
+        Friday: { type: weekdaySchema },
+        Saturday: { type: weekdaySchema },
+        Sunday: { type: weekdaySchema }
+      },
+      holidays: { type: [Date], default: [] } // personal days off
+    },
+    totalEarnings: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true }
+  },
+  { _id: true }
+);
+
+// Refund tier: cancelling at least `hoursBefore` hours ahead refunds `refundPercent`
+const cancellationTierSchema = new Schema(
+  {
+    hoursBefore: { type: Number, required: true, min: 0 },
+    refundPercent: { type: Number, required: true, min: 0, max: 100 }
+  },
+  { _id: false }
+);
+
+const homeFeeTierSchema = new Schema(
+  {
+    uptoKm: { type: Number, required: true, min: 0 },
+    fee: { type: Number, required: true, min: 0 }
   },
   { _id: false }
 );
@@ -59,6 +127,20 @@ const bankDetailsSchema = new Schema(
   { _id: false }
 );
 
+// Onboarding steps in order; a provider can only be reviewed once every step before 'submitted' is done
+const ONBOARDING_STAGES = ['profile', 'services', 'documents', 'bank', 'submitted'];
+
+// One entry per submission / review decision, newest last
+const verificationEventSchema = new Schema(
+  {
+    status: { type: String, enum: ['submitted', 'verified', 'rejected'], required: true },
+    reason: { type: String },
+    by: { type: String }, // admin id for decisions
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const barberSchema = new Schema(
   {
     // Core identity
@@ -108,13 +190,20 @@ const barberSchema = new Schema(
         Saturday: { type: weekdaySchema, default: () => ({}) },
         Sunday: { type: weekdaySchema, default: () => ({}) }
       },
-      holidays: { type: [Date], default: [] }
+      holidays: { type: [Date], default: [] },
+      overrides: { type: [scheduleOverrideSchema], default: [] }
     },
 
+    // Staff (multi-stylist salons); a business without staff is booked as a single resource
+    staff: { type: [staffSchema], default: [] },
+
     // Home service options
     homeServiceAvailable: { type: Boolean, default: false },
     homeServiceRadiusKm: { type: Number, default: 5 }, // in km
-    homeServiceFee: { type: Number, default: 0 },
+    homeServiceFee: { type: Number, default: 0 }, // flat fee, used when no tiers are set
+    homeServiceFeeTiers: { type: [homeFeeTierSchema], default: [] }, // e.g. [{ uptoKm: 3, fee: 50 }, { uptoKm: 8, fee: 120 }]
+    homeServiceTravelMinutes: { type: Number, default: 15 }, // minimum gap between two home appointments
+    homeServiceSpeedKmph: { type: Number, default: 20 }, // average travel speed for the gap estimate
 
     // Reputation & stats
     rating: { type: Number, default: 5, min: 1, max: 5 },
@@ -140,6 +229,14 @@ const barberSchema = new Schema(
       gstProof: { type: String, default: '' }, // optional
       verificationVideo: { type: String, default: '' }
     },
+    onboarding: {
+      stage: { type: String, enum: ONBOARDING_STAGES, default: 'profile' }, // next step to complete
+      submittedAt: { type: Date },
+      reviewedAt: { type: Date },
+      reviewedBy: { type: String },
+      rejectionReason: { type: String },
+      history: { type: [verificationEventSchema], default: [] }
+    },
 
     // Subscription & commercial
     subscriptionTier: {
@@ -161,6 +258,23 @@ const barberSchema = new Schema(
     acceptsWalkIns: { type: Boolean, default: true },
     prebookWindowDays: { type: Number, default: 30 }, // how far customers can book
 
+    // Reschedule policy
+    reschedulePolicy: {
+      maxReschedules: { type: Number, default: 2 }, // per booking
+      cutoffHours: { type: Number, default: 12 } // no requests within this many hours of the appointment
+    },
+
+    // Cancellation policy (customer cancellations; provider rejections always refund in full)
+    cancellationPolicy: {
+      tiers: {
+        type: [cancellationTierSchema],
+        default: () => [
+          { hoursBefore: 24, refundPercent: 100 },
+          { hoursBefore: 0, refundPercent: 50 }
+        ]
+      }
+    },
+
     // Operational metadata
     createdBy: { type: Schema.Types.ObjectId, ref: 'Admin', required: false },
     isDeleted: { type: Boolean, default: false }
@@ -179,6 +293,22 @@ barberSchema.index({ location: '2dsphere' });
 barberSchema.index({ city: 1 });
 barberSchema.index({ email: 1 });
 barberSchema.index({ phone: 1 });
+barberSchema.index({ verificationStatus: 1, 'onboarding.submittedAt': 1 }); // admin review queue
+// Text search (utils/textSearch.js): service names weigh most, descriptions least
+barberSchema.index(
+  {
+    'services.name': 'text',
+    businessName: 'text',
+    name: 'text',
+    tags: 'text',
+    'services.category': 'text',
+    description: 'text'
+  },
+  {
+    name: 'provider_text_search',
+    weights: { 'services.name': 10, businessName: 8, name: 6, tags: 5, 'services.category': 4, description: 1 }
+  }
+);
 
 /**
  * Virtuals
@@ -211,6 +341,7 @@ barberSchema.methods.getPublicProfile = function () {
     tags: this.tags,
     homeServiceAvailable: this.homeServiceAvailable,
     subscriptionTier: this.subscriptionTier,
+    isVerified: this.verificationStatus === 'verified',
     isActive: this.isActive
   };
 };
@@ -218,6 +349,8 @@ barberSchema.methods.getPublicProfile = function () {
 /**
  * Statics
  */
+barberSchema.statics.ONBOARDING_STAGES = ONBOARDING_STAGES;
+
 barberSchema.statics.incrementBooking = async function (barberId, amount = 1) {
   return this.findByIdAndUpdate(
     barberId,
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// 📍 Saved address ("label" rather than "type": a `type` key would make Mongoose read the whole entry as a String)
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true },   // Home / Work / …
+  address: { type: String, required: true, trim: true },
+  landmark: String,
+  city: String,
+  pincode: String,
+  lat: Number,
+  lng: Number,
+  isPrimary: { type: Boolean, default: false }
+});
+
 const customerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -28,9 +40,10 @@ const customerSchema = new mongoose.Schema({
 
   profileImage: String,
 
-  // 💰 Wallet
+  // 💰 Wallet — balance changes only through utils/wallet.js (ledger in WalletEntry)
   wallet: {
     balance: { type: Number, default: 0 },
+    // legacy history from before the ledger; read-only, no longer appended to
     transactions: [
       {
         type: { type: String }, // credit / debit
@@ -54,7 +67,7 @@ const customerSchema = new mongoose.Schema({
   bookmarkedBarbers: [
     {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Barber'
+      ref: 'Business'
     }
   ],
 
@@ -69,15 +82,8 @@ const customerSchema = new mongoose.Schema({
     }
   },
 
-  // 📍 Saved addresses
-  addresses: [
-    {
-      type: String,
-      isPrimary: Boolean,
-      lat: Number,
-      lng: Number
-    }
-  ],
+  // 📍 Saved addresses (at most one primary)
+  addresses: [addressSchema],
 
   referralCode: String,
   referralBonus: { type: Number, default: 0 },
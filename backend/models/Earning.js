@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// What the platform owes a provider (utils/payouts.js): one accrual per completed booking (its total less
+// the platform commission), plus a negative clawback when a dispute that was already paid out goes to the
+// customer. Unsettled entries add up to Business.pendingPayout; payout batches pick them up.
+const earningSchema = new mongoose.Schema(
+  {
+    barberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+
+    kind: { type: String, enum: ['booking', 'clawback'], default: 'booking' },
+    amount: { type: Number, required: true }, // ₹ owed to the provider; negative for clawbacks
+    grossAmount: { type: Number, default: 0 }, // booking total
+    commission: { type: Number, default: 0 }, // platform share
+
+    // pending: waiting for a batch; batched: in an initiated payout; paid: in a processed payout;
+    // reversed: dropped before payout (dispute resolved for the customer)
+    status: {
+      type: String,
+      enum: ['pending', 'batched', 'paid', 'reversed'],
+      default: 'pending'
+    },
+    // booking under an open dispute: left out of batches until it is resolved
+    onHold: { type: Boolean, default: false },
+    payoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payout' },
+
+    accruedAt: { type: Date, default: Date.now }
+  },
+  { timestamps: true }
+);
+
+// at most one accrual and one clawback per booking, so retries never double-count
+earningSchema.index({ bookingId: 1, kind: 1 }, { unique: true });
+earningSchema.index({ status: 1, onHold: 1, accruedAt: 1 });
+earningSchema.index({ barberId: 1, accruedAt: -1 });
+
+module.exports = mongoose.model('Earning', earningSchema);
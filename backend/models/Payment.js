@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One Razorpay order and what became of it (utils/payments.js). The amount and purpose are stored when
+// the order is created, so a payment is settled from our record rather than from what the client sends,
+// and processedAt marks it settled: client verify calls and webhooks for the same payment apply it once.
+const paymentEventSchema = new mongoose.Schema(
+  {
+    eventId: String, // x-razorpay-event-id
+    event: String, // 'payment.captured', 'order.paid', ...
+    receivedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    orderId: { type: String, required: true, unique: true },
+    paymentId: { type: String, unique: true, sparse: true },
+
+    purpose: { type: String, enum: ['wallet_top_up', 'booking'], required: true },
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+
+    amount: { type: Number, required: true }, // ₹
+    currency: { type: String, default: 'INR' },
+
+    status: {
+      type: String,
+      enum: ['created', 'paid', 'failed', 'refunded'],
+      default: 'created'
+    },
+    failureReason: String,
+
+    // Set once the wallet was credited / the booking marked paid
+    processedAt: Date,
+    processedVia: { type: String, enum: ['verify', 'webhook'] },
+
+    // Gateway refunds of this payment, updated by refund webhooks
+    refunds: [
+      {
+        _id: false,
+        refundId: String,
+        amount: Number,
+        status: String,
+        reason: String,
+        at: { type: Date, default: Date.now }
+      }
+    ],
+
+    // Webhook deliveries already handled (Razorpay retries until it gets a 2xx)
+    events: { type: [paymentEventSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ bookingId: 1 });
+paymentSchema.index({ 'events.eventId': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One settlement batch: the provider's payable earnings at the time, sent to their bank account in a single
+// transfer (utils/payouts.js, utils/bankTransfer.js). A failed payout releases its earnings to the next batch.
+const payoutEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['initiated', 'processed', 'failed'], required: true },
+    note: String,
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const payoutSchema = new mongoose.Schema(
+  {
+    barberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    amount: { type: Number, required: true, min: 0.01 }, // ₹
+    currency: { type: String, default: 'INR' },
+    earningCount: { type: Number, default: 0 },
+    // accrual dates of the oldest and newest earning in the batch
+    periodStart: Date,
+    periodEnd: Date,
+
+    status: {
+      type: String,
+      enum: ['initiated', 'processed', 'failed'],
+      default: 'initiated'
+    },
+
+    // Where the money went (snapshot; only the last 4 digits of the account are kept)
+    bankAccount: {
+      accountHolder: String,
+      bankName: String,
+      ifscCode: String,
+      accountLast4: String
+    },
+    transferId: String, // bank transfer reference from the adapter
+    failureReason: String,
+
+    initiatedAt: { type: Date, default: Date.now },
+    processedAt: Date,
+    failedAt: Date,
+    history: { type: [payoutEventSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ barberId: 1, initiatedAt: -1 });
+payoutSchema.index({ status: 1, initiatedAt: 1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
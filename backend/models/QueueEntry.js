@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const queueEntrySchema = new mongoose.Schema({
+  barberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  // preferred stylist (Business.staff); empty = whoever is free first
+  staffId: mongoose.Schema.Types.ObjectId,
+
+  // set when a customer joins remotely from the app
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+
+  source: {
+    type: String,
+    enum: ['walk-in', 'remote'],
+    default: 'walk-in'
+  },
+
+  serviceIds: { type: [String], default: [] },
+  serviceName: String,
+  duration: { type: Number, required: true }, // minutes
+
+  queueDate: { type: String, required: true }, // 'YYYY-MM-DD' (queues reset daily)
+
+  status: {
+    type: String,
+    enum: ['waiting', 'serving', 'done', 'left', 'no-show'],
+    default: 'waiting'
+  },
+
+  joinedAt: { type: Date, default: Date.now },
+  servedAt: Date,
+  finishedAt: Date
+});
+
+// 🚀 Useful indexes for performance
+queueEntrySchema.index({ barberId: 1, queueDate: 1, status: 1, joinedAt: 1 });
+queueEntrySchema.index({ customerId: 1, queueDate: 1, status: 1 });
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { DEFAULT_DURATION_MINUTES, toMinutes } = require('../utils/availability');
+
+// Reservations are stored as fixed-size cells so overlapping bookings of any
+// duration collide on the unique index below.
+const CELL_MINUTES = 5;
+
+function isDuplicateKeyError(err) {
+  return err.code === 11000 || Boolean(err.writeErrors?.some((e) => e.code === 11000));
+}
+
+const slotReservationSchema = new mongoose.Schema({
+  barberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  // stylist within the business; null when the business is a single bookable resource
+  staffId: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+  date: { type: String, required: true }, // 'YYYY-MM-DD'
+  minute: { type: Number, required: true }, // cell start, minutes since midnight
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+// 🔒 One booking per provider (stylist) per cell
+slotReservationSchema.index({ barberId: 1, staffId: 1, date: 1, minute: 1 }, { unique: true });
+slotReservationSchema.index({ bookingId: 1 });
+
+/**
+ * Cells covered by [time, time + duration); a missing duration counts as the default appointment length
+ */
+slotReservationSchema.statics.cellsFor = function (time, duration) {
+  const start = toMinutes(time);
+  if (start === null) return [];
+  const end = start + (Number(duration) > 0 ? Number(duration) : DEFAULT_DURATION_MINUTES);
+  const cells = [];
+  for (let m = Math.floor(start / CELL_MINUTES) * CELL_MINUTES; m < end; m += CELL_MINUTES) {
+    cells.push(m);
+  }
+  return cells;
+};
+
+/**
+ * Atomically claim every cell of a slot for a booking.
+ * Resolves true when reserved, false when another booking already holds part of it.
+ */
+slotReservationSchema.statics.reserve = async function ({ barberId, staffId = null, date, time, duration, bookingId }) {
+  const docs = this.cellsFor(time, duration).map((minute) => ({ barberId, staffId, date, minute, bookingId }));
+  if (!docs.length) return false;
+
+  try {
+    await this.insertMany(docs, { ordered: true });
+    return true;
+  } catch (err) {
+    // roll back whatever cells were inserted before the collision
+    await this.deleteMany({ bookingId });
+    if (isDuplicateKeyError(err)) return false;
+    throw err;
+  }
+};
+
+/**
+ * Move a booking's reservation to a new slot (reschedule).
+ * New cells are claimed before old ones are freed, so the booking never loses its
+ * current slot when the new one is taken. Resolves true when moved, false on collision.
+ */
+slotReservationSchema.statics.move = async function ({ barberId, staffId = null, date, time, duration, bookingId }) {
+  const wanted = this.cellsFor(time, duration);
+  if (!wanted.length) return false;
+
+  const held = await this.find({ bookingId, date }).select('minute');
+  const heldMinutes = new Set(held.map((h) => h.minute));
+  const missing = wanted.filter((minute) => !heldMinutes.has(minute));
+
+  if (missing.length) {
+    try {
+      await this.insertMany(
+        missing.map((minute) => ({ barberId, staffId, date, minute, bookingId })),
+        { ordered: true }
+      );
+    } catch (err) {
+      // only undo the cells this call added; the booking keeps its current slot
+      await this.deleteMany({ bookingId, date, minute: { $in: missing } });
+      if (isDuplicateKeyError(err)) return false;
+      throw err;
+    }
+  }
+
+  await this.deleteMany({ bookingId, $or: [{ date: { $ne: date } }, { minute: { $nin: wanted } }] });
+  return true;
+};
+
+/**
+ * Free all cells held by a booking (cancellation, failed save, etc.)
+ */
+slotReservationSchema.statics.release = async function (bookingId) {
+  return this.deleteMany({ bookingId });
+};
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
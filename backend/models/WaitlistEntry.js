@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const preferredTimeSchema = new mongoose.Schema(
+  {
+    from: { type: String, required: true }, // 'HH:mm'
+    to: { type: String, required: true } // 'HH:mm' (latest acceptable start)
+  },
+  { _id: false }
+);
+
+const waitlistEntrySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+
+  barberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  staffId: mongoose.Schema.Types.ObjectId, // preferred stylist (optional)
+
+  serviceIds: { type: [String], required: true },
+  duration: { type: Number, required: true }, // minutes, summed over serviceIds
+
+  dateFrom: { type: Date, required: true },
+  dateTo: { type: Date, required: true },
+  preferredTimes: { type: [preferredTimeSchema], default: [] }, // empty = any time
+
+  // accepting: the customer claimed the offer and it is being turned into a booking
+  status: {
+    type: String,
+    enum: ['active', 'offered', 'accepting', 'booked', 'expired', 'cancelled'],
+    default: 'active'
+  },
+
+  // Current offer: the slot is held (SlotReservation under holdId) until expiresAt
+  offer: {
+    date: Date,
+    time: String,
+    staffId: mongoose.Schema.Types.ObjectId,
+    holdId: mongoose.Schema.Types.ObjectId,
+    offeredAt: Date,
+    expiresAt: Date
+  },
+
+  // 'YYYY-MM-DD HH:mm' slots already offered to this customer (never re-offered)
+  offeredSlots: { type: [String], default: [] },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+// 🚀 Useful indexes for performance
+waitlistEntrySchema.index({ barberId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ customerId: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
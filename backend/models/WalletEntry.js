@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One posting in the customer wallet ledger (utils/wallet.js). Entries are never updated or deleted:
+// corrections are new entries. Each posting moves money between the customer's wallet and a counter
+// account, so the sum of a customer's entries always equals Customer.wallet.balance.
+const walletEntrySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    immutable: true
+  },
+
+  type: { type: String, enum: ['credit', 'debit'], required: true, immutable: true },
+  amount: { type: Number, required: true, min: 0.01, immutable: true }, // ₹, always positive
+  balanceAfter: { type: Number, required: true, immutable: true },
+
+  // What moved the money and where it came from / went to
+  kind: {
+    type: String,
+    enum: ['opening_balance', 'top_up', 'booking_payment', 'refund', 'adjustment'],
+    required: true,
+    immutable: true
+  },
+  counterAccount: {
+    type: String,
+    enum: ['legacy', 'gateway', 'bookings', 'platform'],
+    required: true,
+    immutable: true
+  },
+  reference: { type: String, immutable: true }, // gateway payment id / bookingId
+  description: { type: String, immutable: true },
+
+  // Same key = same posting; a retried request returns the original entry instead of posting twice
+  idempotencyKey: { type: String, required: true, unique: true, immutable: true },
+
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+walletEntrySchema.index({ customerId: 1, createdAt: -1, _id: -1 });
+
+// the ledger is append-only
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(
+  (op) => {
+    walletEntrySchema.pre(op, function (next) {
+      next(new Error('Wallet ledger entries are immutable'));
+    });
+  }
+);
+
+module.exports = mongoose.model('WalletEntry', walletEntrySchema);
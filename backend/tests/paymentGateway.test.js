@@ -0,0 +1,245 @@
+// backend/tests/paymentGateway.test.js
+// Payments end to end against the in-process mock gateway: order -> checkout -> verify, webhook deliveries
+// (replayed, failed payments) and a refund confirmed by refund.processed. Webhooks are recorded rather than
+// POSTed (webhookUrl: '') and each test delivers them to the webhook endpoint itself.
+// Needs a MongoDB replica set (wallet postings run in transactions):
+// MONGODB_TEST_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test (skipped otherwise).
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const WalletEntry = require('../models/WalletEntry');
+const payments = require('../Controllers/PaymentControllers');
+const { createMockGateway, useGateway } = require('../utils/paymentGateway');
+const { refundCancelledBooking } = require('../utils/refunds');
+const { transitionBooking } = require('../utils/bookingStatus');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const describeWithMongo = MONGODB_TEST_URI ? describe : describe.skip;
+
+const RUN_ID = `${process.pid}-${Date.now()}`;
+
+// The payment routes with the JSON parser Server.js uses (raw body kept for the webhook signature)
+function createApp() {
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payment/webhook')) req.rawBody = buf;
+      }
+    })
+  );
+  app.post('/api/payment/add-money', payments.addMoneyToWallet);
+  app.post('/api/payment/verify-wallet', payments.verifyWalletPayment);
+  app.post('/api/payment/process-booking', payments.processBookingPayment);
+  app.post('/api/payment/verify-booking', payments.verifyBookingPayment);
+  app.post('/api/payment/webhook', payments.razorpayWebhook);
+  return app;
+}
+
+describeWithMongo('payments through the mock gateway', () => {
+  let app;
+  let gateway;
+  let counter = 0;
+
+  // POST a recorded webhook exactly as the gateway would
+  function deliver(delivery, { rawBody = delivery.rawBody } = {}) {
+    return request(app)
+      .post('/api/payment/webhook')
+      .set('content-type', 'application/json')
+      .set('x-razorpay-signature', delivery.signature)
+      .set('x-razorpay-event-id', delivery.eventId)
+      .send(rawBody);
+  }
+
+  function webhooksFor(paymentId, event) {
+    return gateway.webhooks.filter(
+      (d) => d.body.payload.payment?.entity.id === paymentId && (!event || d.event === event)
+    );
+  }
+
+  function createCustomer() {
+    counter += 1;
+    return Customer.create({
+      name: `Test customer ${counter}`,
+      email: `pay-${RUN_ID}-${counter}@example.com`,
+      phone: `+91-${RUN_ID}-${counter}`,
+      password: 'not-a-real-hash'
+    });
+  }
+
+  async function topUpOrder(customer, amount) {
+    const res = await request(app).post('/api/payment/add-money').send({ customerId: String(customer._id), amount });
+    expect(res.status).toBe(200);
+    expect(res.body.gateway).toBe('mock');
+    return res.body.orderId;
+  }
+
+  async function balanceOf(customer) {
+    return (await Customer.findById(customer._id).select('wallet.balance')).wallet.balance;
+  }
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { dbName: `ziva-test-gateway-${process.pid}` });
+    await Promise.all([Booking.init(), Customer.init(), Payment.init(), WalletEntry.init()]);
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    gateway = useGateway(createMockGateway({ webhookUrl: '' }));
+  });
+
+  afterAll(async () => {
+    useGateway(null);
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  test('a wallet top-up is credited once: order -> checkout -> verify, then its webhooks', async () => {
+    const customer = await createCustomer();
+    const orderId = await topUpOrder(customer, 500);
+
+    const paid = await gateway.checkout(orderId);
+    expect(paid.status).toBe('captured');
+
+    const verify = await request(app).post('/api/payment/verify-wallet').send({
+      orderId,
+      paymentId: paid.paymentId,
+      signature: paid.signature,
+      customerId: String(customer._id)
+    });
+    expect(verify.status).toBe(200);
+    expect(verify.body.newBalance).toBe(500);
+
+    // payment.captured and order.paid arrive after verify and change nothing
+    const deliveries = webhooksFor(paid.paymentId);
+    expect(deliveries.map((d) => d.event)).toEqual(['payment.captured', 'order.paid']);
+    for (const delivery of deliveries) {
+      const res = await deliver(delivery);
+      expect(res.status).toBe(200);
+    }
+
+    expect(await balanceOf(customer)).toBe(500);
+    expect(await WalletEntry.countDocuments({ idempotencyKey: `top_up:${paid.paymentId}` })).toBe(1);
+    const payment = await Payment.findOne({ orderId });
+    expect(payment).toMatchObject({ status: 'paid', paymentId: paid.paymentId, processedVia: 'verify' });
+  });
+
+  test('a verify call with a forged signature is refused', async () => {
+    const customer = await createCustomer();
+    const orderId = await topUpOrder(customer, 300);
+    const paid = await gateway.checkout(orderId);
+
+    const res = await request(app).post('/api/payment/verify-wallet').send({
+      orderId,
+      paymentId: paid.paymentId,
+      signature: 'forged',
+      customerId: String(customer._id)
+    });
+    expect(res.status).toBe(400);
+    expect(await balanceOf(customer)).toBe(0);
+  });
+
+  test('a replayed webhook is acknowledged without being applied again', async () => {
+    const customer = await createCustomer();
+    const orderId = await topUpOrder(customer, 250);
+    const paid = await gateway.checkout(orderId);
+    const [captured] = webhooksFor(paid.paymentId, 'payment.captured');
+
+    const first = await deliver(captured);
+    expect(first.status).toBe(200);
+    expect(first.body.duplicate).toBeUndefined();
+
+    const replay = await deliver(captured);
+    expect(replay.status).toBe(200);
+    expect(replay.body.duplicate).toBe(true);
+
+    expect(await balanceOf(customer)).toBe(250);
+    const payment = await Payment.findOne({ orderId });
+    expect(payment.processedVia).toBe('webhook');
+    expect(payment.events.filter((e) => e.eventId === captured.eventId)).toHaveLength(1);
+  });
+
+  test('a webhook whose body does not match its signature is rejected', async () => {
+    const customer = await createCustomer();
+    const orderId = await topUpOrder(customer, 200);
+    const paid = await gateway.checkout(orderId);
+    const [captured] = webhooksFor(paid.paymentId, 'payment.captured');
+
+    const res = await deliver(captured, { rawBody: captured.rawBody.replace('20000', '90000') });
+    expect(res.status).toBe(400);
+    expect(await balanceOf(customer)).toBe(0);
+  });
+
+  test('a failed payment is recorded and credits nothing', async () => {
+    const customer = await createCustomer();
+    const orderId = await topUpOrder(customer, 400);
+
+    const attempt = await gateway.checkout(orderId, { outcome: 'failure' });
+    expect(attempt.status).toBe('failed');
+
+    const [failed] = webhooksFor(attempt.paymentId, 'payment.failed');
+    const res = await deliver(failed);
+    expect(res.status).toBe(200);
+
+    const payment = await Payment.findOne({ orderId });
+    expect(payment.status).toBe('failed');
+    expect(payment.processedAt).toBeUndefined();
+    expect(await balanceOf(customer)).toBe(0);
+  });
+
+  test('a refunded booking payment is confirmed by refund.processed', async () => {
+    const customer = await createCustomer();
+    const booking = await Booking.create({
+      customerId: customer._id,
+      barberId: new mongoose.Types.ObjectId(),
+      serviceId: 'svc-1',
+      serviceName: 'Haircut',
+      date: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+      time: '10:00',
+      price: 350,
+      totalAmount: 350,
+      paymentMethod: 'card',
+      holdExpiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    });
+
+    const order = await request(app).post('/api/payment/process-booking').send({
+      bookingId: String(booking._id),
+      customerId: String(customer._id),
+      paymentMethod: 'card'
+    });
+    expect(order.status).toBe(200);
+
+    const paid = await gateway.checkout(order.body.orderId);
+    const verify = await request(app).post('/api/payment/verify-booking').send({
+      orderId: order.body.orderId,
+      paymentId: paid.paymentId,
+      signature: paid.signature,
+      bookingId: String(booking._id),
+      customerId: String(customer._id)
+    });
+    expect(verify.status).toBe(200);
+    expect(verify.body.status).toBe('confirmed');
+
+    const cancelled = await transitionBooking(booking._id, 'cancelled', { by: 'provider', reason: 'provider unavailable' });
+    const refunded = await refundCancelledBooking(cancelled, { by: 'provider', reason: 'provider unavailable' });
+    expect(refunded.paymentStatus).toBe('refunded');
+    expect(refunded.refundInfo).toMatchObject({ method: 'mock', amount: 350, percent: 100 });
+
+    const [processed] = gateway.webhooks.filter((d) => d.event === 'refund.processed');
+    expect(processed.body.payload.refund.entity.id).toBe(refunded.refundInfo.refundId);
+    const res = await deliver(processed);
+    expect(res.status).toBe(200);
+
+    const after = await Booking.findById(booking._id);
+    expect(after.refundInfo.status).toBe('processed');
+    const payment = await Payment.findOne({ orderId: order.body.orderId });
+    expect(payment.refunds.map((r) => r.toObject())).toEqual([
+      expect.objectContaining({ refundId: refunded.refundInfo.refundId, amount: 350, status: 'processed' })
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+// backend/tests/payments.test.js
+// Gateway payments are applied exactly once: a client verify call racing the webhook for the same payment,
+// and webhook deliveries repeated under the same x-razorpay-event-id.
+// Needs a MongoDB replica set (wallet postings run in transactions):
+// MONGODB_TEST_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test (skipped otherwise).
+
+const mongoose = require('mongoose');
+
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const WalletEntry = require('../models/WalletEntry');
+const { createMockGateway, useGateway } = require('../utils/paymentGateway');
+const { handleWebhookEvent, recordOrder, settlePayment } = require('../utils/payments');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const describeWithMongo = MONGODB_TEST_URI ? describe : describe.skip;
+
+const RUN_ID = `${process.pid}-${Date.now()}`;
+
+describeWithMongo('payment settlement', () => {
+  let gateway;
+  let counter = 0;
+
+  function createCustomer() {
+    counter += 1;
+    return Customer.create({
+      name: `Payment customer ${counter}`,
+      email: `payments-${RUN_ID}-${counter}@example.com`,
+      phone: `+91-${RUN_ID}-${counter}`,
+      password: 'not-a-real-hash'
+    });
+  }
+
+  // a wallet top-up order paid through checkout, as the controllers record it
+  async function paidTopUp(customer, amount) {
+    const order = await gateway.createOrder({ amount, notes: { customerId: String(customer._id) } });
+    await recordOrder(order, { purpose: 'wallet_top_up', customerId: customer._id, amount });
+    const paid = await gateway.checkout(order.id);
+    const captured = gateway.webhooks.find(
+      (d) => d.event === 'payment.captured' && d.body.payload.payment.entity.id === paid.paymentId
+    );
+    return { orderId: order.id, paymentId: paid.paymentId, captured };
+  }
+
+  async function balanceOf(customer) {
+    return (await Customer.findById(customer._id).select('wallet.balance')).wallet.balance;
+  }
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { dbName: `ziva-test-payments-${process.pid}` });
+    await Promise.all([Customer.init(), Payment.init(), WalletEntry.init()]);
+  });
+
+  beforeEach(() => {
+    gateway = useGateway(createMockGateway({ webhookUrl: '' }));
+  });
+
+  afterAll(async () => {
+    useGateway(null);
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  test('a verify call racing the webhook for the same payment credits the wallet once', async () => {
+    const customer = await createCustomer();
+    const { orderId, paymentId, captured } = await paidTopUp(customer, 450);
+
+    const [verified, webhook] = await Promise.all([
+      settlePayment({
+        orderId,
+        paymentId,
+        via: 'verify',
+        expect: { purpose: 'wallet_top_up', customerId: String(customer._id) }
+      }),
+      handleWebhookEvent(captured.body, { eventId: captured.eventId })
+    ]);
+
+    expect(verified.entry.amount).toBe(450);
+    expect(webhook).toEqual({ event: 'payment.captured' });
+    expect(await balanceOf(customer)).toBe(450);
+    expect(await WalletEntry.countDocuments({ idempotencyKey: `top_up:${paymentId}` })).toBe(1);
+
+    const payment = await Payment.findOne({ orderId });
+    expect(payment.status).toBe('paid');
+    expect(['verify', 'webhook']).toContain(payment.processedVia);
+  });
+
+  test('a delivery repeated under the same x-razorpay-event-id is skipped', async () => {
+    const customer = await createCustomer();
+    const { orderId, captured } = await paidTopUp(customer, 200);
+
+    const first = await handleWebhookEvent(captured.body, { eventId: captured.eventId });
+    const again = await handleWebhookEvent(captured.body, { eventId: captured.eventId });
+    // a later order.paid for the same payment has its own event id: handled, but settles nothing new
+    const orderPaid = gateway.webhooks.find((d) => d.event === 'order.paid' && d.body.payload.order.entity.id === orderId);
+    const other = await handleWebhookEvent(orderPaid.body, { eventId: orderPaid.eventId });
+
+    expect(first).toEqual({ event: 'payment.captured' });
+    expect(again).toEqual({ event: 'payment.captured', duplicate: true });
+    expect(other).toEqual({ event: 'order.paid' });
+    expect(await balanceOf(customer)).toBe(200);
+
+    const payment = await Payment.findOne({ orderId });
+    expect(payment.events.map((e) => e.eventId)).toEqual([captured.eventId, orderPaid.eventId]);
+  });
+
+  test('events for orders that are not ours are acknowledged and ignored', async () => {
+    const order = await gateway.createOrder({ amount: 100 });
+    await gateway.checkout(order.id);
+    const captured = gateway.webhooks.find((d) => d.event === 'payment.captured');
+
+    await expect(handleWebhookEvent(captured.body, { eventId: captured.eventId })).resolves.toEqual({
+      event: 'payment.captured',
+      ignored: true
+    });
+  });
+});
@@ -0,0 +1,149 @@
+// backend/tests/recurring.test.js
+// Recurring occurrences of an online-paid series defer their payment: they carry no checkout hold, survive
+// the hold sweep, and the customer pays each one later through the normal booking payment flow.
+// Needs a MongoDB replica set (payments settle in transactions):
+// MONGODB_TEST_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test (skipped otherwise).
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const Business = require('../models/Business');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const SlotReservation = require('../models/SlotReservation');
+const payments = require('../Controllers/PaymentControllers');
+const { localDayKey } = require('../utils/availability');
+const { expireUnpaidHolds } = require('../utils/holds');
+const { createMockGateway, useGateway } = require('../utils/paymentGateway');
+const { generateOccurrences } = require('../utils/recurring');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const describeWithMongo = MONGODB_TEST_URI ? describe : describe.skip;
+
+const RUN_ID = `${process.pid}-${Date.now()}`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/payment/process-booking', payments.processBookingPayment);
+  app.post('/api/payment/verify-booking', payments.verifyBookingPayment);
+  return app;
+}
+
+describeWithMongo('recurring series payments', () => {
+  let app;
+  let gateway;
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { dbName: `ziva-test-recurring-${process.pid}` });
+    await Promise.all([
+      Booking.init(),
+      BookingSeries.init(),
+      Business.init(),
+      Customer.init(),
+      Payment.init(),
+      SlotReservation.init()
+    ]);
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    gateway = useGateway(createMockGateway({ webhookUrl: '' }));
+  });
+
+  afterAll(async () => {
+    useGateway(null);
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  // a verified provider and a weekly card-paid series anchored two days from now
+  async function createSeries() {
+    const barber = await Business.create({
+      name: 'Series barber',
+      businessName: 'Series Cuts',
+      email: `series-${RUN_ID}@example.com`,
+      phone: `+91-series-${RUN_ID}`,
+      password: 'not-a-real-hash',
+      location: { type: 'Point', coordinates: [77.5946, 12.9716] },
+      services: [{ name: 'Haircut', price: 300, duration: 30 }],
+      verificationStatus: 'verified'
+    });
+    const customer = await Customer.create({
+      name: 'Series customer',
+      email: `series-customer-${RUN_ID}@example.com`,
+      phone: `+91-series-customer-${RUN_ID}`,
+      password: 'not-a-real-hash'
+    });
+
+    const serviceId = String(barber.services[0]._id);
+    const date = new Date(localDayKey(new Date(Date.now() + 2 * DAY_MS)));
+    const anchor = await Booking.create({
+      customerId: customer._id,
+      barberId: barber._id,
+      serviceId,
+      serviceName: 'Haircut',
+      date,
+      time: '10:00',
+      price: 300,
+      totalAmount: 300,
+      paymentMethod: 'card',
+      paymentStatus: 'paid'
+    });
+    const series = await BookingSeries.create({
+      customerId: customer._id,
+      barberId: barber._id,
+      anchorBookingId: anchor._id,
+      intervalWeeks: 1,
+      startDate: date,
+      time: '10:00',
+      maxOccurrences: 3,
+      serviceIds: [serviceId],
+      paymentMethod: 'card',
+      occurrences: [{ date, bookingId: anchor._id, status: 'booked' }]
+    });
+    return { customer, series };
+  }
+
+  test('generated occurrences are not checkout holds and can be paid later', async () => {
+    const { customer, series } = await createSeries();
+
+    const generated = await generateOccurrences(series);
+    expect(generated.occurrences.map((o) => o.status)).toEqual(['booked', 'booked', 'booked']);
+    const bookings = await Booking.find({ seriesId: series._id });
+    expect(bookings).toHaveLength(2);
+    for (const booking of bookings) {
+      expect(booking).toMatchObject({ status: 'pending', paymentMethod: 'card', paymentStatus: 'unpaid' });
+      expect(booking.holdExpiresAt).toBeUndefined();
+    }
+
+    // long past any checkout hold window: the sweep leaves them booked
+    expect(await expireUnpaidHolds({ now: new Date(Date.now() + DAY_MS) })).toBe(0);
+    expect(await Booking.countDocuments({ seriesId: series._id, status: 'pending' })).toBe(2);
+
+    const [occurrence] = bookings;
+    const order = await request(app).post('/api/payment/process-booking').send({
+      bookingId: String(occurrence._id),
+      customerId: String(customer._id),
+      paymentMethod: 'card'
+    });
+    expect(order.status).toBe(200);
+
+    const paid = await gateway.checkout(order.body.orderId);
+    const verify = await request(app).post('/api/payment/verify-booking').send({
+      orderId: order.body.orderId,
+      paymentId: paid.paymentId,
+      signature: paid.signature,
+      bookingId: String(occurrence._id),
+      customerId: String(customer._id)
+    });
+    expect(verify.status).toBe(200);
+
+    const after = await Booking.findById(occurrence._id);
+    expect(after).toMatchObject({ status: 'confirmed', paymentStatus: 'paid' });
+  });
+});
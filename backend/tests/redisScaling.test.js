@@ -0,0 +1,95 @@
+// backend/tests/redisScaling.test.js
+// Two API instances sharing one Redis: a booking event emitted by one instance reaches a socket
+// connected to the other, and rate-limit counters are shared.
+// Needs a local Redis: REDIS_URL=redis://localhost:6379 npm test (skipped otherwise).
+
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const socketIO = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+
+const { attachSocketAdapter, createRateLimitStore, closeRedis } = require('../utils/redis');
+const { authenticateSocket, emitBookingEvent, personalRoom } = require('../utils/realtime');
+
+const REDIS_URL = process.env.REDIS_URL;
+const describeWithRedis = REDIS_URL ? describe : describe.skip;
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const RUN_ID = `${process.pid}-${Date.now()}`;
+const LIMIT = 3;
+
+// A minimal instance wired the way Server.js wires sockets and the API limiter
+async function startInstance() {
+  const app = express();
+  app.use(
+    '/api/',
+    rateLimit({
+      windowMs: 60 * 1000,
+      max: LIMIT,
+      store: createRateLimitStore(`rl:test:${RUN_ID}:`)
+    })
+  );
+  app.get('/api/ping', (req, res) => res.json({ ok: true }));
+
+  const server = http.createServer(app);
+  const io = new socketIO.Server(server);
+  await attachSocketAdapter(io);
+  io.use(authenticateSocket);
+  io.on('connection', (socket) => socket.join(personalRoom(socket.data.user)));
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  return { server, io, url: `http://localhost:${server.address().port}` };
+}
+
+describeWithRedis('horizontal scaling with Redis', () => {
+  let first;
+  let second;
+  let client;
+
+  beforeAll(async () => {
+    first = await startInstance();
+    second = await startInstance();
+  });
+
+  afterAll(async () => {
+    client?.disconnect();
+    for (const instance of [first, second]) {
+      instance.io.close();
+    }
+    await closeRedis();
+  });
+
+  test('a booking event emitted on one instance reaches a customer connected to the other', async () => {
+    const token = jwt.sign({ id: `customer-${RUN_ID}`, type: 'customer', kind: 'access' }, process.env.JWT_SECRET);
+    client = connectClient(first.url, { auth: { token }, transports: ['websocket'] });
+    await new Promise((resolve, reject) => {
+      client.on('connect', resolve);
+      client.on('connect_error', reject);
+    });
+
+    const received = new Promise((resolve) => client.on('status-changed', resolve));
+
+    // let the room join propagate before emitting from the other instance
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    emitBookingEvent(second.io, 'status-changed', {
+      _id: `booking-${RUN_ID}`,
+      customerId: `customer-${RUN_ID}`,
+      barberId: `barber-${RUN_ID}`,
+      status: 'confirmed'
+    });
+
+    await expect(received).resolves.toMatchObject({ bookingId: `booking-${RUN_ID}`, status: 'confirmed' });
+  });
+
+  test('rate limits are counted across instances', async () => {
+    const statuses = [];
+    for (const instance of [first, second, first, second]) {
+      const res = await fetch(`${instance.url}/api/ping`);
+      statuses.push(res.status);
+    }
+    expect(statuses).toEqual([200, 200, 200, 429]);
+  });
+});
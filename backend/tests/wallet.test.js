@@ -0,0 +1,137 @@
+// backend/tests/wallet.test.js
+// Wallet ledger money paths: replayed postings, concurrent debits, and balances from before the ledger
+// carried in through their opening entry.
+// Needs a MongoDB replica set (postings run in transactions):
+// MONGODB_TEST_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test (skipped otherwise).
+
+const mongoose = require('mongoose');
+
+const Customer = require('../models/Customer');
+const WalletEntry = require('../models/WalletEntry');
+const { postWalletEntry, reconcileWallets } = require('../utils/wallet');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const describeWithMongo = MONGODB_TEST_URI ? describe : describe.skip;
+
+const RUN_ID = `${process.pid}-${Date.now()}`;
+
+describeWithMongo('wallet ledger', () => {
+  let counter = 0;
+
+  function createCustomer(balance = 0) {
+    counter += 1;
+    return Customer.create({
+      name: `Wallet customer ${counter}`,
+      email: `wallet-${RUN_ID}-${counter}@example.com`,
+      phone: `+91-${RUN_ID}-${counter}`,
+      password: 'not-a-real-hash',
+      wallet: { balance }
+    });
+  }
+
+  function topUp(customer, amount, paymentId) {
+    return postWalletEntry({
+      customerId: customer._id,
+      type: 'credit',
+      amount,
+      kind: 'top_up',
+      counterAccount: 'gateway',
+      reference: paymentId,
+      idempotencyKey: `top_up:${paymentId}`
+    });
+  }
+
+  function pay(customer, amount, bookingId) {
+    return postWalletEntry({
+      customerId: customer._id,
+      type: 'debit',
+      amount,
+      kind: 'booking_payment',
+      counterAccount: 'bookings',
+      reference: bookingId,
+      idempotencyKey: `booking_payment:${bookingId}`
+    });
+  }
+
+  async function balanceOf(customer) {
+    return (await Customer.findById(customer._id).select('wallet.balance')).wallet.balance;
+  }
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, { dbName: `ziva-test-wallet-${process.pid}` });
+    await Promise.all([Customer.init(), WalletEntry.init()]);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  test('a replayed top_up:<paymentId> returns the first entry and credits once', async () => {
+    const customer = await createCustomer();
+
+    const first = await topUp(customer, 300, `pay_${RUN_ID}_a`);
+    const replay = await topUp(customer, 300, `pay_${RUN_ID}_a`);
+
+    expect(first.duplicate).toBe(false);
+    expect(replay.duplicate).toBe(true);
+    expect(String(replay.entry._id)).toBe(String(first.entry._id));
+    expect(await balanceOf(customer)).toBe(300);
+  });
+
+  test('concurrent replays of the same top-up post it once', async () => {
+    const customer = await createCustomer();
+
+    const results = await Promise.all([1, 2, 3].map(() => topUp(customer, 150, `pay_${RUN_ID}_b`)));
+
+    expect(results.filter((r) => !r.duplicate)).toHaveLength(1);
+    expect(new Set(results.map((r) => String(r.entry._id))).size).toBe(1);
+    expect(await balanceOf(customer)).toBe(150);
+  });
+
+  test('two concurrent debits that together exceed the balance: one is refused', async () => {
+    const customer = await createCustomer();
+    await topUp(customer, 500, `pay_${RUN_ID}_c`);
+
+    const results = await Promise.allSettled([pay(customer, 300, `bk_${RUN_ID}_1`), pay(customer, 300, `bk_${RUN_ID}_2`)]);
+
+    const refused = results.filter((r) => r.status === 'rejected');
+    expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+    expect(refused).toHaveLength(1);
+    expect(refused[0].reason).toMatchObject({ status: 400, details: { balance: 200 } });
+    expect(await balanceOf(customer)).toBe(200);
+    expect(await WalletEntry.countDocuments({ customerId: customer._id, type: 'debit' })).toBe(1);
+  });
+
+  test('a legacy balance reconciles through its opening entry', async () => {
+    const customer = await createCustomer(120.5);
+
+    // untouched since the ledger started: no entries yet, and not reported as a mismatch
+    const [before] = await reconcileWallets({ customerId: customer._id });
+    expect(before).toMatchObject({ balance: 120.5, entries: 0, consistent: true });
+
+    await topUp(customer, 79.5, `pay_${RUN_ID}_d`);
+
+    const opening = await WalletEntry.findOne({ idempotencyKey: `opening:${customer._id}` });
+    expect(opening).toMatchObject({ kind: 'opening_balance', amount: 120.5, balanceAfter: 120.5 });
+
+    const [after] = await reconcileWallets({ customerId: customer._id });
+    expect(after).toMatchObject({ balance: 200, ledgerBalance: 200, lastBalanceAfter: 200, entries: 2, consistent: true });
+    expect(await reconcileWallets()).toEqual([]);
+  });
+
+  test('concurrent first postings on a legacy balance carry it in once and both apply', async () => {
+    const customer = await createCustomer(100);
+
+    const results = await Promise.all([
+      topUp(customer, 40, `pay_${RUN_ID}_e`),
+      topUp(customer, 60, `pay_${RUN_ID}_f`)
+    ]);
+
+    expect(results.every((r) => !r.duplicate)).toBe(true);
+    expect(await WalletEntry.countDocuments({ idempotencyKey: `opening:${customer._id}` })).toBe(1);
+    expect(await balanceOf(customer)).toBe(200);
+    const [check] = await reconcileWallets({ customerId: customer._id });
+    expect(check).toMatchObject({ ledgerBalance: 200, entries: 3, consistent: true });
+  });
+});
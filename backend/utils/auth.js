@@ -0,0 +1,49 @@
+// backend/utils/auth.js
+// HTTP auth middleware for the access tokens issued by the auth endpoints ({ id, type, kind: 'access' }).
+// Refresh tokens (kind: 'refresh') and tokens from before the kind claim are refused.
+// Provider-only routes chain both, e.g.
+//   router.post('/:barberId/services', authenticate, requireProvider, barberController.addService)
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Verify an access token and return its payload; throws for refresh tokens as well as invalid or expired ones
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.kind !== 'access') throw new jwt.JsonWebTokenError('not an access token');
+  return decoded;
+}
+
+/**
+ * Verify `Authorization: Bearer <token>` and expose { id, type } as req.user
+ */
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+  try {
+    const decoded = verifyAccessToken(token);
+    req.user = { id: String(decoded.id), type: decoded.type };
+    next();
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+/**
+ * Only the provider named in the route (:barberId) may continue
+ */
+function requireProvider(req, res, next) {
+  if (req.user?.type !== 'provider' || req.user.id !== String(req.params.barberId)) {
+    return res.status(403).json({ error: 'Only this provider can make this change' });
+  }
+  next();
+}
+
+module.exports = {
+  verifyAccessToken,
+  authenticate,
+  requireProvider
+};
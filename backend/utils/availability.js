@@ -0,0 +1,310 @@
+// backend/utils/availability.js
+// Slot availability engine: turns a provider's schedule, holidays and existing bookings into
+// bookable start times. Used by both the availability endpoint and createBooking so the two
+// always agree on what can be booked.
+
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { isHomeLocation, travelMinutes } = require('./geo');
+
+const SLOT_INTERVAL_MINUTES = Number(process.env.SLOT_INTERVAL_MINUTES) || 15;
+const DEFAULT_DURATION_MINUTES = 30; // used for legacy bookings saved without a duration
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// 'HH:mm' -> minutes since midnight (null if malformed)
+function toMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+// minutes since midnight -> 'HH:mm'
+function toTimeString(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// '9:5' / '09:05' -> '09:05' (null if malformed)
+function normalizeTime(value) {
+  const minutes = toMinutes(value);
+  return minutes === null ? null : toTimeString(minutes);
+}
+
+/**
+ * Normalise a date to a 'YYYY-MM-DD' key.
+ * Dates are read in UTC to match how bookings are stored (`new Date('YYYY-MM-DD')` is UTC midnight).
+ */
+function toDayKey(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    const key = value.trim();
+    const d = new Date(key);
+    // rejects impossible dates such as 2025-02-30 (which JS would roll over)
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === key ? key : null;
+  }
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+// today's key in the server's local time (the provider's wall clock)
+function localDayKey(now) {
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// wall-clock start of a slot, e.g. ('2025-01-31', '10:30') -> Date
+function toDateTime(dayKey, time) {
+  return new Date(`${dayKey}T${normalizeTime(time)}:00`);
+}
+
+// [start, end) range used to query bookings stored for a day
+function dayRange(dayKey) {
+  const start = new Date(dayKey);
+  const end = new Date(start.getTime() + MS_PER_DAY);
+  return { start, end };
+}
+
+function getDayName(dayKey) {
+  return DAY_NAMES[new Date(dayKey).getUTCDay()];
+}
+
+function isHoliday(schedule, dayKey) {
+  const holidays = schedule?.holidays || [];
+  return holidays.some((h) => toDayKey(h) === dayKey);
+}
+
+function overrideFor(schedule, dayKey) {
+  return (schedule?.overrides || []).find((o) => toDayKey(o.date) === dayKey);
+}
+
+/**
+ * Working hours of a day as sorted [{ start, end }] minute ranges, after holidays, date overrides,
+ * split shifts and breaks. `reason` ('holiday' | 'closed') explains an empty day.
+ */
+function workingIntervals(schedule, dayKey) {
+  if (isHoliday(schedule, dayKey)) return { intervals: [], reason: 'holiday' };
+
+  const day = overrideFor(schedule, dayKey) || schedule?.weekDays?.[getDayName(dayKey)];
+  if (!day || day.isOpen === false) return { intervals: [], reason: 'closed' };
+
+  const shifts = day.shifts?.length ? day.shifts : [{ open: day.open, close: day.close }];
+  let intervals = shifts
+    .map((s) => ({ start: toMinutes(s.open), end: toMinutes(s.close) }))
+    .filter((i) => i.start !== null && i.end !== null && i.end > i.start);
+
+  // cut each break out of whichever shift it falls in
+  (day.breaks || []).forEach((b) => {
+    const start = toMinutes(b.start);
+    const end = toMinutes(b.end);
+    if (start === null || end === null || end <= start) return;
+    intervals = intervals.flatMap((i) => {
+      if (end <= i.start || start >= i.end) return [i];
+      const parts = [];
+      if (start > i.start) parts.push({ start: i.start, end: start });
+      if (end < i.end) parts.push({ start: end, end: i.end });
+      return parts;
+    });
+  });
+
+  intervals.sort((a, b) => a.start - b.start);
+  return { intervals, reason: intervals.length ? null : 'closed' };
+}
+
+/**
+ * Staff helpers
+ * A business without active staff is a single bookable resource (represented as `null`).
+ */
+function activeStaff(business) {
+  return (business.staff || []).filter((m) => m && m.isActive !== false);
+}
+
+// empty serviceIds on a stylist means they perform every service
+function canPerform(member, serviceIds = []) {
+  const allowed = (member.serviceIds || []).map(String);
+  return !allowed.length || serviceIds.every((id) => allowed.includes(String(id)));
+}
+
+function eligibleStaff(business, { staffId, serviceIds } = {}) {
+  const staff = activeStaff(business);
+  if (!staff.length) return staffId ? [] : [null];
+  return staff.filter((m) => (!staffId || String(m._id) === String(staffId)) && canPerform(m, serviceIds));
+}
+
+// a stylist's own hours override the shop's per day; shop holidays and date overrides apply to everyone
+function scheduleFor(business, member) {
+  const base = business.schedule || {};
+  if (!member?.schedule) return base;
+  const weekDays = {};
+  DAY_NAMES.forEach((day) => {
+    weekDays[day] = member.schedule.weekDays?.[day] || base.weekDays?.[day];
+  });
+  return {
+    weekDays,
+    holidays: [...(base.holidays || []), ...(member.schedule.holidays || [])],
+    overrides: base.overrides || [] // the shop's date-specific hours apply to every stylist
+  };
+}
+
+/**
+ * Pure slot computation (no DB access).
+ * @param {Object} params
+ * @param {Object} params.business - Business document (schedule, prebookWindowDays)
+ * @param {Object} [params.schedule] - schedule to use instead of business.schedule (e.g. a stylist's)
+ * @param {string} params.dayKey - 'YYYY-MM-DD'
+ * @param {number} params.duration - minutes required by the service
+ * @param {Array}  params.bookings - existing active bookings ({ time, duration, bufferMinutes }) for that day;
+ *                                   bufferMinutes keeps that much free on both sides (travel)
+ * @param {Date}   params.now
+ * @returns {{ slots: string[], reason: string|null }}
+ */
+function computeSlots({ business, schedule = business.schedule, dayKey, duration, bookings = [], now = new Date() }) {
+  const todayKey = localDayKey(now);
+  const daysAhead = Math.round((Date.parse(dayKey) - Date.parse(todayKey)) / MS_PER_DAY);
+  const prebookWindowDays = Number(business.prebookWindowDays ?? 30);
+
+  if (daysAhead < 0) return { slots: [], reason: 'past_date' };
+  if (daysAhead > prebookWindowDays) return { slots: [], reason: 'outside_prebook_window' };
+
+  const { intervals, reason } = workingIntervals(schedule, dayKey);
+  if (!intervals.length) return { slots: [], reason };
+
+  const length = Number(duration) || DEFAULT_DURATION_MINUTES;
+  const busy = bookings
+    .map((b) => {
+      const start = toMinutes(b.time);
+      if (start === null) return null;
+      const buffer = Number(b.bufferMinutes) || 0;
+      return { start: start - buffer, end: start + (Number(b.duration) || DEFAULT_DURATION_MINUTES) + buffer };
+    })
+    .filter(Boolean);
+
+  // slots earlier than (or at) the current minute are not bookable today
+  const earliest = dayKey === todayKey ? now.getHours() * 60 + now.getMinutes() : -1;
+
+  // an appointment must fit inside one shift; the slot grid restarts at each shift / after each break
+  const slots = [];
+  intervals.forEach(({ start: open, end: close }) => {
+    for (let start = open; start + length <= close; start += SLOT_INTERVAL_MINUTES) {
+      if (start <= earliest) continue;
+      const end = start + length;
+      if (busy.some((b) => start < b.end && b.start < end)) continue;
+      slots.push(toTimeString(start));
+    }
+  });
+
+  return { slots, reason: slots.length ? null : 'fully_booked' };
+}
+
+/**
+ * Whether the shop is open at a wall-clock moment (holidays, date overrides, shifts and breaks)
+ */
+function isOpenAt(business, at = new Date()) {
+  const minute = at.getHours() * 60 + at.getMinutes();
+  const { intervals } = workingIntervals(business.schedule || {}, localDayKey(at));
+  return intervals.some((i) => minute >= i.start && minute < i.end);
+}
+
+/**
+ * Bookings still holding the provider's calendar for a provider on a given day
+ */
+async function findDayBookings(barberId, dayKey, { excludeBookingId } = {}) {
+  const { start, end } = dayRange(dayKey);
+  const query = {
+    barberId,
+    date: { $gte: start, $lt: end },
+    status: { $nin: Booking.RELEASED_STATUSES }
+  };
+  // a booking being rescheduled must not block its own new slot
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+  return Booking.find(query).select('time duration status staffId location');
+}
+
+/**
+ * Slots temporarily held for waitlisted customers (open offers), shaped like bookings
+ */
+async function findDayHolds(barberId, dayKey, { excludeWaitlistEntryId, now = new Date() } = {}) {
+  const { start, end } = dayRange(dayKey);
+  const query = {
+    barberId,
+    status: { $in: ['offered', 'accepting'] },
+    'offer.date': { $gte: start, $lt: end },
+    'offer.expiresAt': { $gt: now }
+  };
+  // the offered customer must be able to book the slot held for them
+  if (excludeWaitlistEntryId) query._id = { $ne: excludeWaitlistEntryId };
+  const entries = await WaitlistEntry.find(query).select('offer duration');
+  return entries.map((e) => ({ time: e.offer.time, duration: e.duration, staffId: e.offer.staffId }));
+}
+
+/**
+ * Bookable start slots for a provider/date/duration.
+ * Returns { date, slots, reason, staff } — date is null when the input date is invalid.
+ * For businesses with staff, `slots` is the union over eligible stylists ("any available")
+ * and `staff` lists each stylist's own slots; pass `staffId` to restrict to one stylist.
+ * Pass the requested `location` so a home appointment leaves travel time around other home visits.
+ */
+async function getAvailability(
+  business,
+  date,
+  duration,
+  { now = new Date(), excludeBookingId, excludeWaitlistEntryId, staffId, serviceIds, location } = {}
+) {
+  const dayKey = toDayKey(date);
+  if (!dayKey) return { date: null, slots: [], reason: 'invalid_date' };
+
+  const members = eligibleStaff(business, { staffId, serviceIds });
+  if (!members.length) return { date: dayKey, slots: [], reason: 'no_staff', staff: [] };
+
+  const bookings = [
+    ...(await findDayBookings(business._id, dayKey, { excludeBookingId })),
+    ...(await findDayHolds(business._id, dayKey, { excludeWaitlistEntryId, now }))
+  ].map((b) =>
+    isHomeLocation(location) && isHomeLocation(b.location)
+      ? { time: b.time, duration: b.duration, staffId: b.staffId, bufferMinutes: travelMinutes(business, b.location, location) }
+      : b
+  );
+
+  const perStaff = members.map((member) => {
+    // bookings without a stylist (single-resource era) block everyone
+    const own = member
+      ? bookings.filter((b) => !b.staffId || String(b.staffId) === String(member._id))
+      : bookings;
+    const result = computeSlots({ business, schedule: scheduleFor(business, member), dayKey, duration, bookings: own, now });
+    return { staffId: member ? member._id : null, name: member ? member.name : undefined, ...result };
+  });
+
+  const slots = [...new Set(perStaff.flatMap((p) => p.slots))].sort();
+  const reason = slots.length
+    ? null
+    : perStaff.every((p) => p.reason === perStaff[0].reason) ? perStaff[0].reason : 'fully_booked';
+
+  return { date: dayKey, slots, reason, staff: members[0] ? perStaff : undefined };
+}
+
+module.exports = {
+  SLOT_INTERVAL_MINUTES,
+  DEFAULT_DURATION_MINUTES,
+  toMinutes,
+  toTimeString,
+  normalizeTime,
+  toDayKey,
+  toDateTime,
+  localDayKey,
+  dayRange,
+  activeStaff,
+  canPerform,
+  eligibleStaff,
+  scheduleFor,
+  workingIntervals,
+  isOpenAt,
+  computeSlots,
+  findDayBookings,
+  findDayHolds,
+  getAvailability
+};
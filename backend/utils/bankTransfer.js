@@ -0,0 +1,121 @@
+// backend/utils/bankTransfer.js
+// Bank transfers for provider payouts, behind one small interface chosen by BANK_TRANSFER_PROVIDER.
+// Only the local stub ships for now; a payouts API (e.g. RazorpayX) plugs in as another entry in ADAPTERS.
+// There is no default: the stub must be named explicitly and is refused in production, so an unconfigured
+// server never marks payouts processed without moving money (its payouts wait, unsent, for an adapter).
+
+const httpError = require('./httpError');
+
+/**
+ * @typedef {Object} BankTransferAdapter
+ * @property {string} name
+ * @property {(transfer: { reference: string, amount: number, currency?: string, account: Object, narration?: string })
+ *   => Promise<Object>} transfer - amount in ₹; the same reference never pays twice.
+ *   Resolves { id, reference, amount, status: 'processing'|'processed'|'failed', failureReason }
+ * @property {(id: string) => Promise<Object>} fetchTransfer - same shape; httpError 404 for unknown ids
+ *   (utils/payouts.js then sends the payout again under the same reference)
+ */
+
+const STUB_OUTCOMES = ['processed', 'failed', 'processing'];
+
+/**
+ * Local stand-in that moves no money. Outcome from BANK_TRANSFER_STUB_OUTCOME: 'processed' (default),
+ * 'failed', or 'processing' (settles as processed the next time it is fetched).
+ * @returns {BankTransferAdapter}
+ */
+function createStubBankTransfer({ outcome = process.env.BANK_TRANSFER_STUB_OUTCOME || 'processed' } = {}) {
+  if (!STUB_OUTCOMES.includes(outcome)) {
+    throw new Error(`BANK_TRANSFER_STUB_OUTCOME must be one of ${STUB_OUTCOMES.join(', ')}`);
+  }
+
+  const transfers = new Map();
+  const byReference = new Map();
+  let counter = 0;
+
+  return {
+    name: 'stub',
+
+    async transfer({ reference, amount, currency = 'INR', account }) {
+      if (byReference.has(reference)) return { ...transfers.get(byReference.get(reference)) };
+      if (!account?.accountNumber || !account?.ifscCode) throw httpError(400, 'Bank account number and IFSC are required');
+
+      const transfer = {
+        id: `trf_stub_${String(++counter).padStart(6, '0')}`,
+        reference,
+        amount,
+        currency,
+        status: outcome,
+        failureReason: outcome === 'failed' ? 'Beneficiary account could not be credited (stub)' : null
+      };
+      transfers.set(transfer.id, transfer);
+      byReference.set(reference, transfer.id);
+      return { ...transfer };
+    },
+
+    async fetchTransfer(id) {
+      const transfer = transfers.get(id);
+      if (!transfer) throw httpError(404, 'Transfer not found');
+      if (transfer.status === 'processing') transfer.status = 'processed';
+      return { ...transfer };
+    }
+  };
+}
+
+const ADAPTERS = {
+  stub: createStubBankTransfer
+};
+// adapters that move no money (refused in production)
+const LOCAL_ADAPTERS = ['stub'];
+
+let current = null;
+
+// The configured adapter name; throws httpError 503 when payouts cannot be sent from this server
+function configuredAdapter() {
+  const name = process.env.BANK_TRANSFER_PROVIDER;
+  if (!name) throw httpError(503, 'Bank transfers are not configured (set BANK_TRANSFER_PROVIDER)');
+  if (!ADAPTERS[name]) {
+    throw httpError(503, `Unknown BANK_TRANSFER_PROVIDER "${name}" (expected ${Object.keys(ADAPTERS).join(' or ')})`);
+  }
+  if (LOCAL_ADAPTERS.includes(name) && process.env.NODE_ENV === 'production') {
+    throw httpError(503, `BANK_TRANSFER_PROVIDER "${name}" moves no money and is not allowed in production`);
+  }
+  return name;
+}
+
+/**
+ * Whether payouts can be sent from this server; when not, payout cycles batch earnings and leave the
+ * payouts initiated until an adapter is configured (utils/payouts.js)
+ */
+function bankTransferAvailable() {
+  try {
+    configuredAdapter();
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * The process-wide adapter, created on first use
+ * @returns {BankTransferAdapter}
+ * Throws httpError 503 when none is configured (or the stub is configured in production).
+ */
+function getBankTransfer() {
+  if (!current) current = ADAPTERS[configuredAdapter()]();
+  return current;
+}
+
+/**
+ * Swap the adapter (tests); null goes back to BANK_TRANSFER_PROVIDER
+ */
+function useBankTransfer(adapter) {
+  current = adapter;
+  return adapter;
+}
+
+module.exports = {
+  bankTransferAvailable,
+  createStubBankTransfer,
+  getBankTransfer,
+  useBankTransfer
+};
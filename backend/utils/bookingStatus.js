@@ -0,0 +1,92 @@
+// backend/utils/bookingStatus.js
+// Booking state machine: the single place that decides which status changes are legal.
+// Every status change goes through transitionBooking so history is always recorded and
+// concurrent updates cannot both win.
+
+const Booking = require('../models/Booking');
+const SlotReservation = require('../models/SlotReservation');
+const httpError = require('./httpError');
+
+/**
+ * Allowed moves: from -> [to]
+ * completed / cancelled / rejected / no-show are terminal.
+ * en-route is only used for home-service bookings (provider travelling to the customer).
+ */
+const TRANSITIONS = {
+  pending: ['confirmed', 'rejected', 'cancelled'],
+  confirmed: ['en-route', 'in-progress', 'completed', 'cancelled', 'no-show'],
+  'en-route': ['in-progress', 'completed', 'cancelled', 'no-show'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+  'no-show': []
+};
+
+const { RELEASED_STATUSES } = Booking;
+
+// timestamp field stamped when entering a status
+const STATUS_TIMESTAMPS = {
+  'in-progress': 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  rejected: 'cancelledAt',
+  'no-show': 'noShowAt'
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a booking to a new status.
+ * @param {string} bookingId
+ * @param {string} to - target status
+ * @param {Object} [options]
+ * @param {string} [options.by] - 'customer' | 'provider' | 'admin' | 'system'
+ * @param {string} [options.reason]
+ * @param {Object} [options.set] - extra fields to set in the same update
+ * @param {Object} [options.where] - extra conditions the booking must still meet when updated
+ * @returns {Promise<Booking>} updated booking
+ * Throws errors carrying `status` (404 / 409) for the caller to surface.
+ */
+async function transitionBooking(bookingId, to, { by = 'system', reason, set = {}, where = {} } = {}) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw httpError(404, 'Booking not found');
+
+  const from = booking.status;
+  if (!canTransition(from, to)) {
+    throw httpError(409, `Cannot change booking status from ${from} to ${to}`);
+  }
+
+  const now = new Date();
+  const update = { ...set, status: to };
+  if (STATUS_TIMESTAMPS[to]) update[STATUS_TIMESTAMPS[to]] = now;
+  if (reason && RELEASED_STATUSES.includes(to)) update.cancellationReason = reason;
+  if (to === 'cancelled' || to === 'rejected') update.cancelledBy = by;
+
+  // conditional on the status we validated against, so a concurrent change makes this a no-op
+  const updated = await Booking.findOneAndUpdate(
+    { ...where, _id: booking._id, status: from },
+    {
+      $set: update,
+      $push: { statusHistory: { from, to, by, reason, at: now } }
+    },
+    { new: true }
+  );
+
+  if (!updated) throw httpError(409, 'Booking was modified concurrently, please retry');
+
+  if (RELEASED_STATUSES.includes(to)) {
+    await SlotReservation.release(updated._id);
+  }
+
+  return updated;
+}
+
+module.exports = {
+  TRANSITIONS,
+  RELEASED_STATUSES,
+  canTransition,
+  transitionBooking
+};
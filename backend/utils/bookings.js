@@ -0,0 +1,202 @@
+// backend/utils/bookings.js
+// Booking placement shared by createBooking and every flow that turns something else into a
+// booking (waitlist offers, recurring series), so they all run the same validation and slot reservation.
+
+const Booking = require('../models/Booking');
+const SlotReservation = require('../models/SlotReservation');
+const httpError = require('./httpError');
+const { DEFAULT_DURATION_MINUTES, getAvailability, normalizeTime, toDayKey } = require('./availability');
+const { isHomeLocation, quoteHomeService, travelMinutes } = require('./geo');
+const { isVerified } = require('./onboarding');
+const { resolveServices } = require('./services');
+
+const PAYMENT_HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 15;
+const ONLINE_PAYMENT_METHODS = ['upi', 'card', 'netbanking'];
+
+/**
+ * When an unpaid booking made now stops holding its slot (see utils/holds.js)
+ * @returns {Date|undefined} undefined for methods settled without checkout (wallet)
+ */
+function holdExpiry(paymentMethod, now = new Date()) {
+  if (!ONLINE_PAYMENT_METHODS.includes(paymentMethod)) return undefined;
+  return new Date(now.getTime() + PAYMENT_HOLD_MINUTES * 60 * 1000);
+}
+
+/**
+ * Minutes a booking holds in SlotReservation: a home visit also keeps the provider's travel time after it,
+ * so two home bookings racing for back-to-back slots cannot both claim them
+ * @param {Object} barber - Business document
+ * @param {Object} booking - { duration, location }
+ */
+function reservedMinutes(barber, { duration, location }) {
+  const minutes = Number(duration) || DEFAULT_DURATION_MINUTES;
+  return isHomeLocation(location) ? minutes + travelMinutes(barber, barber.location, location) : minutes;
+}
+
+/**
+ * Validate and create a booking.
+ * @param {Object} params
+ * @param {Object} params.barber - Business document
+ * @param {string} params.customerId
+ * @param {string[]} params.serviceIds - ordered, booked back-to-back as one appointment
+ * @param {string} [params.staffId] - stylist; omit for the first available one
+ * @param {string} params.date - 'YYYY-MM-DD'
+ * @param {string} params.time - 'HH:mm'
+ * @param {Object} [params.location] - { type: 'salon' | 'home', address, coordinates: { coordinates: [lng, lat] } }
+ * @param {string} params.paymentMethod
+ * @param {ObjectId} [params.holdId] - id of a slot hold to convert; becomes the booking _id
+ * @param {ObjectId} [params.excludeWaitlistEntryId] - waitlist offer that must not block its own slot
+ * @param {ObjectId} [params.seriesId] - recurring series the booking is generated for
+ * @param {boolean} [params.deferPayment] - booked ahead and paid later (before the visit), so no checkout hold
+ * @returns {Promise<Booking>} saved booking
+ * Throws httpError (400 / 403 / 404 / 409 with { reason, availableSlots }) for the controller to surface.
+ */
+async function placeBooking({
+  barber,
+  customerId,
+  serviceIds,
+  staffId,
+  date,
+  time,
+  location = {},
+  paymentMethod,
+  holdId,
+  excludeWaitlistEntryId,
+  seriesId,
+  deferPayment = false
+}) {
+  if (!isVerified(barber)) throw httpError(403, 'This provider is not verified yet and cannot be booked');
+
+  // Find the services inside barber.services
+  const bundle = resolveServices(barber, serviceIds);
+  if (!bundle) throw httpError(404, 'Requested service not found for this provider');
+
+  // Only accept slots the availability endpoint would offer
+  const dayKey = toDayKey(date);
+  const slotTime = normalizeTime(time);
+  if (!dayKey || !slotTime) throw httpError(400, 'Invalid date or time (expected YYYY-MM-DD and HH:mm)');
+
+  // Home visits must be inside the provider's radius; the fee depends on the distance
+  let homeServiceFee = 0;
+  if (isHomeLocation(location)) {
+    const quote = quoteHomeService(barber, location);
+    homeServiceFee = quote.fee;
+    location = { ...location, type: 'home', distanceKm: quote.distanceKm };
+  }
+
+  const availabilityOptions = { staffId, serviceIds, excludeWaitlistEntryId, location };
+  const availability = await getAvailability(barber, dayKey, bundle.duration, availabilityOptions);
+  if (!availability.slots.includes(slotTime)) {
+    throw httpError(409, 'Requested slot is not available', {
+      reason: availability.reason,
+      availableSlots: availability.slots
+    });
+  }
+
+  // Stylists free at this slot, in order (a single null entry when the business has no staff)
+  const candidates = availability.staff
+    ? availability.staff.filter((m) => m.slots.includes(slotTime)).map((m) => m.staffId)
+    : [null];
+
+  // Calculate amounts
+  const totalAmount = bundle.price + homeServiceFee;
+
+  const commissionRate = Number(barber.commissionRatePercent ?? barber.commissionRate ?? 20); // support both fields
+
+  // One line per service, each with its own commission
+  const lines = bundle.services.map((s) => ({
+    serviceId: String(s._id),
+    name: s.name || '',
+    price: Number(s.price || 0),
+    duration: Number(s.duration || 0),
+    commission: Math.round((Number(s.price || 0) * commissionRate) / 100)
+  }));
+
+  const commission =
+    lines.reduce((sum, l) => sum + l.commission, 0) + Math.round((homeServiceFee * commissionRate) / 100);
+
+  // Create booking document
+  const booking = new Booking({
+    _id: holdId,
+    customerId,
+    barberId: barber._id,
+    serviceId: lines[0].serviceId,
+    serviceName: lines.map((l) => l.name).join(' + '),
+    services: lines,
+    date: new Date(dayKey),
+    time: slotTime,
+    duration: bundle.duration || null,
+    location,
+    price: bundle.price,
+    commission,
+    discountApplied: 0,
+    homeServiceFee,
+    totalAmount,
+    paymentMethod,
+    paymentStatus: paymentMethod === 'cod' ? 'unpaid' : 'unpaid', // server should verify on payment success
+    status: 'pending',
+    // a deferred payment is not a checkout hold, so the hold sweep (utils/holds.js) never cancels it
+    holdExpiresAt: deferPayment ? undefined : holdExpiry(paymentMethod),
+    seriesId
+  });
+
+  // Claim the slot atomically (trying each free stylist in turn); a hold is converted in place.
+  // The loser of a race gets a 409 with fresh alternatives
+  let reserved = false;
+  let assignedStaffId = null;
+  for (const candidate of candidates) {
+    const slot = {
+      barberId: barber._id,
+      staffId: candidate,
+      date: dayKey,
+      time: slotTime,
+      duration: reservedMinutes(barber, { duration: bundle.duration, location }),
+      bookingId: booking._id
+    };
+    reserved = holdId ? await SlotReservation.move(slot) : await SlotReservation.reserve(slot);
+    if (reserved) {
+      assignedStaffId = candidate;
+      break;
+    }
+  }
+
+  if (!reserved) {
+    const latest = await getAvailability(barber, dayKey, bundle.duration, availabilityOptions);
+    throw httpError(409, 'This slot was just booked by someone else', {
+      reason: 'slot_taken',
+      availableSlots: latest.slots
+    });
+  }
+
+  if (assignedStaffId) {
+    const member = barber.staff.id(assignedStaffId);
+    const staffCommissionPercent = Number(member?.commissionPercent || 0);
+    booking.staffId = assignedStaffId;
+    booking.staffName = member?.name;
+    booking.staffCommissionPercent = staffCommissionPercent;
+    booking.staffEarning = Math.round((Math.max(0, totalAmount - commission) * staffCommissionPercent) / 100);
+  }
+
+  try {
+    await booking.save();
+  } catch (saveErr) {
+    await SlotReservation.release(booking._id);
+    throw saveErr;
+  }
+
+  // Update barber stats atomically if possible
+  barber.totalBookings = (barber.totalBookings || 0) + 1;
+  // ensure earnings shape exists
+  barber.earnings = barber.earnings || { today: 0, month: 0, total: 0 };
+  await barber.save();
+
+  return booking;
+}
+
+module.exports = {
+  PAYMENT_HOLD_MINUTES,
+  ONLINE_PAYMENT_METHODS,
+  holdExpiry,
+  reservedMinutes,
+  placeBooking
+};
@@ -0,0 +1,89 @@
+// backend/utils/geo.js
+// Home-service geography: distance from the provider, radius check, distance-tiered fee and
+// the travel time a stylist needs between two home appointments. Points are GeoJSON order [lng, lat].
+
+const httpError = require('./httpError');
+
+const EARTH_RADIUS_KM = 6371;
+const HOME_LOCATION_TYPES = ['home', 'house', 'home_service'];
+
+function isHomeLocation(location) {
+  return HOME_LOCATION_TYPES.includes(location?.type);
+}
+
+// [lng, lat] of a Business.location or Booking.location ({ coordinates: { coordinates } }), or null
+function pointOf(location) {
+  const raw = Array.isArray(location?.coordinates) ? location.coordinates : location?.coordinates?.coordinates;
+  if (!Array.isArray(raw) || raw.length !== 2) return null;
+  const [lng, lat] = raw.map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) return null;
+  return [lng, lat];
+}
+
+// Great-circle (haversine) distance in km
+function distanceKm(from, to) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(to[1] - from[1]);
+  const dLng = rad(to[0] - from[0]);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from[1])) * Math.cos(rad(to[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Home-service fee for a distance: the first tier whose `uptoKm` covers it, else the flat homeServiceFee
+ */
+function homeServiceFeeFor(business, km) {
+  const tiers = [...(business.homeServiceFeeTiers || [])].sort((a, b) => a.uptoKm - b.uptoKm);
+  if (!tiers.length) return Number(business.homeServiceFee || 0);
+  const tier = tiers.find((t) => km <= t.uptoKm) || tiers[tiers.length - 1];
+  return Number(tier.fee || 0);
+}
+
+/**
+ * Validate a home-service address against the provider and price it.
+ * @returns {{ distanceKm: number, fee: number }}
+ * Throws httpError 400 when home service is off, the address has no coordinates or is out of range.
+ */
+function quoteHomeService(business, location) {
+  if (!business.homeServiceAvailable) throw httpError(400, 'This provider does not offer home service');
+
+  const customerPoint = pointOf(location);
+  if (!customerPoint) throw httpError(400, 'Home service needs location.coordinates [longitude, latitude]');
+
+  const providerPoint = pointOf(business.location);
+  if (!providerPoint) throw httpError(400, 'Provider location is not set');
+
+  const km = Math.round(distanceKm(providerPoint, customerPoint) * 10) / 10;
+  const radiusKm = Number(business.homeServiceRadiusKm ?? 5);
+  if (km > radiusKm) {
+    throw httpError(400, `Address is outside the provider's ${radiusKm} km home-service area`, {
+      reason: 'outside_service_area',
+      distanceKm: km,
+      radiusKm
+    });
+  }
+
+  return { distanceKm: km, fee: homeServiceFeeFor(business, km) };
+}
+
+/**
+ * Minutes a stylist needs between two home appointments: the drive at the provider's average
+ * speed, never less than the provider's minimum buffer (used alone when a point is unknown)
+ */
+function travelMinutes(business, from, to) {
+  const minimum = Number(business.homeServiceTravelMinutes ?? 15);
+  const a = pointOf(from);
+  const b = pointOf(to);
+  if (!a || !b) return minimum;
+  const speed = Number(business.homeServiceSpeedKmph) || 20;
+  return Math.max(minimum, Math.ceil((distanceKm(a, b) / speed) * 60));
+}
+
+module.exports = {
+  isHomeLocation,
+  pointOf,
+  distanceKm,
+  homeServiceFeeFor,
+  quoteHomeService,
+  travelMinutes
+};
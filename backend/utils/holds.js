@@ -0,0 +1,53 @@
+// backend/utils/holds.js
+// Payment holds: a booking paid online only keeps its slot until holdExpiresAt (set by placeBooking)
+// while the customer is in checkout. Abandoned holds are cancelled by a background sweep so the slot frees up,
+// whether or not the provider accepted the booking meanwhile.
+
+const Booking = require('../models/Booking');
+const { transitionBooking } = require('./bookingStatus');
+const { emitBookingEvent } = require('./realtime');
+const { markOccurrence } = require('./recurring');
+const { offerFreedSlot } = require('./waitlist');
+
+/**
+ * Background sweep: cancel pending or accepted bookings whose payment hold lapsed, release their slots
+ * and tell anyone watching the booking. Follow-ups are best-effort, so one failure never stops the sweep.
+ * @returns {Promise<number>} number of holds cancelled
+ */
+async function expireUnpaidHolds({ io, now = new Date() } = {}) {
+  const lapsed = await Booking.find({
+    status: { $in: ['pending', 'confirmed'] },
+    paymentStatus: { $in: ['unpaid', 'failed'] },
+    holdExpiresAt: { $lte: now }
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of lapsed) {
+    let booking;
+    try {
+      // still unpaid at the moment of cancelling, so a payment verified meanwhile wins
+      booking = await transitionBooking(_id, 'cancelled', {
+        by: 'system',
+        reason: 'payment not completed in time',
+        where: { paymentStatus: { $in: ['unpaid', 'failed'] } },
+        set: { holdExpiresAt: null }
+      });
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 409) console.error(`expireUnpaidHolds error (${_id}):`, err);
+      continue;
+    }
+
+    expired += 1;
+    await markOccurrence(booking, 'cancelled').catch((err) => console.error('markOccurrence error:', err));
+
+    emitBookingEvent(io, 'status-changed', booking, { reason: booking.cancellationReason });
+
+    await offerFreedSlot(booking, { io, now }).catch((err) => console.error('offerFreedSlot error:', err));
+  }
+
+  return expired;
+}
+
+module.exports = {
+  expireUnpaidHolds
+};
@@ -0,0 +1,12 @@
+// backend/utils/httpError.js
+// Errors thrown from shared helpers carry an HTTP status (and optional extra response fields)
+// so controllers can surface them as `res.status(err.status).json({ error: err.message, ...err.details })`.
+
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+module.exports = httpError;
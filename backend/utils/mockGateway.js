@@ -0,0 +1,231 @@
+// backend/utils/mockGateway.js
+// In-process payment gateway for local runs and tests (PAYMENT_GATEWAY=mock). It speaks Razorpay's wire format:
+// the same checkout signature, webhook body, headers and HMAC, so verify calls and POST /api/payment/webhook
+// run unchanged. Outcomes come from options, so a run is repeatable. Ids are sequential within an instance and
+// carry a per-instance prefix, so orders and payments from an earlier run never collide in a persistent DB.
+
+const crypto = require('crypto');
+const httpError = require('./httpError');
+const { hmacHex, safeEqual } = require('./razorpay');
+
+const OUTCOMES = ['success', 'failure'];
+const WEBHOOK_ATTEMPTS = 3;
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    if (ms > 0) setTimeout(resolve, ms);
+    else resolve();
+  });
+}
+
+function parseOutcome(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (!OUTCOMES.includes(value)) throw httpError(400, `outcome must be one of ${OUTCOMES.join(', ')}`);
+  return value;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {'success'|'failure'} [options.outcome] - result of simulated checkouts (MOCK_GATEWAY_OUTCOME)
+ * @param {'success'|'failure'} [options.refundOutcome] - result of refunds (MOCK_GATEWAY_REFUND_OUTCOME)
+ * @param {number} [options.delayMs] - added to every gateway call and before each webhook (MOCK_GATEWAY_DELAY_MS)
+ * @param {string} [options.webhookUrl] - where webhooks are POSTed (MOCK_GATEWAY_WEBHOOK_URL; '' = record only)
+ * @returns {PaymentGateway} plus checkout(), webhooks (every delivery made) and idle()
+ */
+function createMockGateway({
+  outcome = process.env.MOCK_GATEWAY_OUTCOME || 'success',
+  refundOutcome = process.env.MOCK_GATEWAY_REFUND_OUTCOME || 'success',
+  delayMs = Number(process.env.MOCK_GATEWAY_DELAY_MS) || 0,
+  webhookUrl = process.env.MOCK_GATEWAY_WEBHOOK_URL ??
+    `http://localhost:${parseInt(process.env.PORT, 10) || 5000}/api/payment/webhook`,
+  keySecret = 'mock_key_secret',
+  webhookSecret = 'mock_webhook_secret'
+} = {}) {
+  const defaultOutcome = parseOutcome(outcome, 'success');
+  const defaultRefundOutcome = parseOutcome(refundOutcome, 'success');
+
+  const orders = new Map();
+  const payments = new Map();
+  const counters = { order: 0, pay: 0, rfnd: 0, evt: 0 };
+  const instanceId = `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+  const pending = new Set();
+  const webhooks = [];
+
+  const nextId = (prefix) => `${prefix}_mock_${instanceId}_${String(++counters[prefix]).padStart(6, '0')}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  async function post(delivery) {
+    for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt += 1) {
+      delivery.attempts = attempt;
+      try {
+        const res = await fetch(webhookUrl, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'x-razorpay-signature': delivery.signature,
+            'x-razorpay-event-id': delivery.eventId
+          },
+          body: delivery.rawBody
+        });
+        delivery.status = res.status;
+        if (res.ok) return;
+      } catch (err) {
+        delivery.status = 0;
+        delivery.error = err.message;
+      }
+      // like Razorpay: a non-2xx answer is retried later
+      await sleep(Math.max(delayMs, 100) * attempt);
+    }
+    console.error(`Mock gateway: webhook ${delivery.event} (${delivery.eventId}) was not accepted`);
+  }
+
+  // signed like Razorpay webhooks, recorded, and POSTed after the configured delay
+  function emitWebhook(event, entities) {
+    const body = {
+      entity: 'event',
+      account_id: 'acc_mock',
+      event,
+      contains: Object.keys(entities),
+      payload: Object.fromEntries(Object.entries(entities).map(([key, entity]) => [key, { entity }])),
+      created_at: now()
+    };
+    const rawBody = JSON.stringify(body);
+    const delivery = {
+      eventId: nextId('evt'),
+      event,
+      body,
+      rawBody,
+      signature: hmacHex(webhookSecret, rawBody),
+      status: null,
+      attempts: 0
+    };
+    webhooks.push(delivery);
+    if (!webhookUrl) return delivery;
+
+    const sending = sleep(delayMs).then(() => post(delivery));
+    pending.add(sending);
+    sending.finally(() => pending.delete(sending));
+    return delivery;
+  }
+
+  function getPayment(paymentId) {
+    const payment = payments.get(paymentId);
+    if (!payment) throw httpError(404, 'The id provided does not exist');
+    return payment;
+  }
+
+  const publicOrder = (o) => ({ id: o.id, amount: o.amount / 100, currency: o.currency, receipt: o.receipt, status: o.status, notes: o.notes });
+
+  return {
+    name: 'mock',
+    publicKey: 'mock_key',
+    webhooks,
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      await sleep(delayMs);
+      const paise = Math.round(Number(amount) * 100);
+      if (!Number.isFinite(paise) || paise < 100) throw httpError(502, 'Order amount less than minimum amount allowed');
+
+      const order = { id: nextId('order'), entity: 'order', amount: paise, amount_paid: 0, currency, receipt, status: 'created', notes: { ...notes }, created_at: now() };
+      orders.set(order.id, order);
+      return publicOrder(order);
+    },
+
+    async fetchOrder(orderId) {
+      await sleep(delayMs);
+      const order = orders.get(orderId);
+      if (!order) throw httpError(404, 'The id provided does not exist');
+      return publicOrder(order);
+    },
+
+    async fetchPayment(paymentId) {
+      await sleep(delayMs);
+      const p = getPayment(paymentId);
+      return { id: p.id, orderId: p.order_id, amount: p.amount / 100, currency: p.currency, status: p.status, method: p.method, error: p.error_description };
+    },
+
+    async refund(paymentId, { amount, notes = {} }) {
+      await sleep(delayMs);
+      const payment = getPayment(paymentId);
+      const paise = Math.round(Number(amount) * 100);
+      if (payment.status !== 'captured' && payment.status !== 'refunded') throw httpError(502, 'Only captured payments can be refunded');
+      if (!(paise > 0) || payment.amount_refunded + paise > payment.amount) {
+        throw httpError(502, 'The refund amount exceeds the amount left to refund');
+      }
+      if (defaultRefundOutcome === 'failure') throw httpError(502, 'Refund failed (mock gateway)');
+
+      payment.amount_refunded += paise;
+      if (payment.amount_refunded === payment.amount) payment.status = 'refunded';
+      const refund = { id: nextId('rfnd'), entity: 'refund', payment_id: paymentId, amount: paise, currency: payment.currency, notes: { ...notes }, status: 'processed', created_at: now() };
+
+      emitWebhook('refund.processed', { refund, payment });
+      return { id: refund.id, paymentId, amount: paise / 100, status: refund.status };
+    },
+
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+      return safeEqual(hmacHex(keySecret, `${orderId}|${paymentId}`), signature);
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      if (!rawBody || !signature) return false;
+      return safeEqual(hmacHex(webhookSecret, rawBody), signature);
+    },
+
+    /**
+     * Pay an order the way Checkout would. Success returns what Checkout hands the client
+     * ({ orderId, paymentId, signature }) and sends payment.captured + order.paid; failure sends payment.failed.
+     * @param {string} orderId
+     * @param {Object} [options] - { outcome, method, delayMs } overriding the gateway defaults
+     * @returns {Promise<Object>} { status: 'captured'|'failed', orderId, paymentId, signature?, error? }
+     */
+    async checkout(orderId, { outcome: override, method = 'card', delayMs: wait = delayMs } = {}) {
+      const result = parseOutcome(override, defaultOutcome);
+      await sleep(wait);
+
+      const order = orders.get(orderId);
+      if (!order) throw httpError(404, 'Order not found');
+      if (order.status === 'paid') throw httpError(409, 'Order already paid');
+
+      const payment = {
+        id: nextId('pay'),
+        entity: 'payment',
+        amount: order.amount,
+        amount_refunded: 0,
+        currency: order.currency,
+        order_id: order.id,
+        method,
+        notes: order.notes,
+        created_at: now()
+      };
+      payments.set(payment.id, payment);
+      order.attempts = (order.attempts || 0) + 1;
+
+      if (result === 'failure') {
+        Object.assign(payment, { status: 'failed', error_code: 'BAD_REQUEST_ERROR', error_description: 'Payment declined (mock gateway)' });
+        order.status = 'attempted';
+        emitWebhook('payment.failed', { payment });
+        return { status: 'failed', orderId, paymentId: payment.id, error: payment.error_description };
+      }
+
+      payment.status = 'captured';
+      Object.assign(order, { status: 'paid', amount_paid: order.amount });
+      emitWebhook('payment.captured', { payment });
+      emitWebhook('order.paid', { payment, order });
+      return {
+        status: 'captured',
+        orderId,
+        paymentId: payment.id,
+        signature: hmacHex(keySecret, `${orderId}|${payment.id}`)
+      };
+    },
+
+    // resolves once every scheduled webhook has been delivered (or given up on)
+    async idle() {
+      while (pending.size) await Promise.all([...pending]);
+    }
+  };
+}
+
+module.exports = {
+  createMockGateway
+};
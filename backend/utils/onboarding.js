@@ -0,0 +1,246 @@
+// backend/utils/onboarding.js
+// Provider onboarding and KYC review: profile -> services -> documents -> bank -> submitted, then an
+// admin approves or rejects. Only verified providers show up in search and can be booked.
+
+const httpError = require('./httpError');
+
+const Barber = require('../models/Business');
+
+const STAGES = Barber.ONBOARDING_STAGES;
+const STEPS = STAGES.filter((s) => s !== 'submitted');
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const REQUIRED_DOCUMENTS = ['idProof', 'businessLicense', 'verificationVideo']; // gstProof is optional
+
+// Fields each step may set (documents are uploaded elsewhere; these are their URLs)
+const STEP_FIELDS = {
+  profile: ['name', 'businessName', 'businessType', 'description', 'tags', 'address', 'city', 'state', 'zipCode', 'languages', 'profileImage', 'coverImage'],
+  documents: ['idProof', 'businessLicense', 'gstProof', 'verificationVideo'],
+  bank: ['accountHolder', 'accountNumber', 'bankName', 'ifscCode']
+};
+
+// Missing or invalid fields of a step ([] when the step is complete)
+const STEP_CHECKS = {
+  profile: (b) => {
+    const missing = ['name', 'businessName', 'phone', 'address', 'city'].filter((k) => !b[k]);
+    const [lng, lat] = b.location?.coordinates || [];
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || (lng === 0 && lat === 0)) missing.push('location');
+    return missing;
+  },
+  services: (b) => ((b.services || []).some((s) => s.isActive !== false) ? [] : ['services']),
+  documents: (b) => REQUIRED_DOCUMENTS.filter((k) => !b.documents?.[k]),
+  bank: (b) => {
+    const details = b.bankDetails || {};
+    const missing = STEP_FIELDS.bank.filter((k) => !details[k]);
+    if (details.ifscCode && !IFSC_PATTERN.test(details.ifscCode)) missing.push('ifscCode');
+    return missing;
+  }
+};
+
+function isVerified(business) {
+  return business?.verificationStatus === 'verified';
+}
+
+// Missing or invalid bank fields ([] when payouts can be sent)
+function missingBankDetails(business) {
+  return STEP_CHECKS.bank(business);
+}
+
+function isUnderReview(business) {
+  return business.onboarding?.stage === 'submitted' && business.verificationStatus === 'pending';
+}
+
+function missingByStep(business) {
+  const missing = {};
+  STEPS.forEach((step) => {
+    const fields = STEP_CHECKS[step](business);
+    if (fields.length) missing[step] = fields;
+  });
+  return missing;
+}
+
+/**
+ * Where a provider is in onboarding, for the provider app and the admin review screen
+ */
+function onboardingSummary(business) {
+  const onboarding = business.onboarding || {};
+  const missing = missingByStep(business);
+  const steps = {};
+  STEPS.forEach((step) => {
+    steps[step] = { complete: !missing[step], missing: missing[step] || [] };
+  });
+
+  return {
+    stage: onboarding.stage || 'profile',
+    verificationStatus: business.verificationStatus,
+    underReview: isUnderReview(business),
+    readyToSubmit: !Object.keys(missing).length && !isVerified(business) && !isUnderReview(business),
+    steps,
+    submittedAt: onboarding.submittedAt,
+    reviewedAt: onboarding.reviewedAt,
+    rejectionReason: onboarding.rejectionReason,
+    history: onboarding.history || []
+  };
+}
+
+/**
+ * Apply one onboarding step to the (unsaved) business document. Partial saves are allowed;
+ * the stage only moves on once the step is complete. Earlier steps can be revisited.
+ * @returns {string[]} fields still missing for this step
+ * Throws httpError 400 / 409 for the controller to surface.
+ */
+function applyOnboardingStep(business, step, body = {}) {
+  if (!STEPS.includes(step)) throw httpError(400, `Unknown onboarding step (expected ${STEPS.join(', ')})`);
+  if (isVerified(business)) throw httpError(409, 'Provider is already verified');
+  if (isUnderReview(business)) throw httpError(409, 'Onboarding is under review and cannot be changed');
+
+  const current = business.onboarding?.stage || 'profile';
+  if (STAGES.indexOf(step) > STAGES.indexOf(current)) {
+    throw httpError(409, `Complete the ${current} step first`, { stage: current });
+  }
+
+  if (step === 'profile') {
+    STEP_FIELDS.profile.forEach((key) => {
+      if (body[key] !== undefined) business.set(key, body[key]);
+    });
+    if (body.lat !== undefined || body.lng !== undefined) {
+      const lat = Number(body.lat);
+      const lng = Number(body.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw httpError(400, 'lat and lng must be given together as valid coordinates');
+      }
+      business.set('location', { type: 'Point', coordinates: [lng, lat] });
+    }
+  } else if (step === 'services') {
+    if (!Array.isArray(body.services)) throw httpError(400, 'services must be an array');
+    business.set(
+      'services',
+      body.services.map(({ name, category, price, duration, description, image }) => ({
+        name,
+        category,
+        price,
+        duration,
+        description,
+        image
+      }))
+    );
+  } else {
+    const path = step === 'documents' ? 'documents' : 'bankDetails';
+    STEP_FIELDS[step].forEach((key) => {
+      if (body[key] === undefined) return;
+      const value = String(body[key]).trim();
+      business.set(`${path}.${key}`, key === 'ifscCode' ? value.toUpperCase() : value);
+    });
+  }
+
+  const missing = STEP_CHECKS[step](business);
+  if (!missing.length && step === current && step !== 'bank') {
+    business.set('onboarding.stage', STAGES[STAGES.indexOf(step) + 1]);
+  }
+  return missing;
+}
+
+/**
+ * Hand a completed onboarding to admins (also how a rejected provider resubmits)
+ */
+function submitForReview(business, now = new Date()) {
+  if (isVerified(business)) throw httpError(409, 'Provider is already verified');
+  if (isUnderReview(business)) throw httpError(409, 'Onboarding is already under review');
+
+  const missing = missingByStep(business);
+  if (Object.keys(missing).length) throw httpError(400, 'Onboarding is incomplete', { missing });
+
+  business.set('verificationStatus', 'pending');
+  business.set('onboarding.stage', 'submitted');
+  business.set('onboarding.submittedAt', now);
+  business.set('onboarding.rejectionReason', undefined);
+  business.onboarding.history.push({ status: 'submitted', at: now });
+}
+
+/**
+ * Record an admin decision. Only a submitted, pending provider can be reviewed (guards double reviews).
+ * @param {Object} params
+ * @param {string} params.barberId
+ * @param {'approve'|'reject'} params.decision
+ * @param {string} [params.reason] - required when rejecting; shown to the provider
+ * @param {string} [params.by] - admin id
+ * @returns {Promise<Business>} updated provider
+ */
+async function reviewProvider({ barberId, decision, reason, by, now = new Date() }) {
+  if (!['approve', 'reject'].includes(decision)) throw httpError(400, 'decision must be approve or reject');
+  const trimmed = reason ? String(reason).trim() : '';
+  if (decision === 'reject' && !trimmed) throw httpError(400, 'A reason is required to reject a provider');
+
+  const status = decision === 'approve' ? 'verified' : 'rejected';
+  const updated = await Barber.findOneAndUpdate(
+    { _id: barberId, verificationStatus: 'pending', 'onboarding.stage': 'submitted' },
+    {
+      $set: {
+        verificationStatus: status,
+        'onboarding.reviewedAt': now,
+        'onboarding.reviewedBy': by,
+        'onboarding.rejectionReason': status === 'rejected' ? trimmed : undefined
+      },
+      $push: { 'onboarding.history': { status, reason: trimmed || undefined, by, at: now } }
+    },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  const exists = await Barber.exists({ _id: barberId });
+  if (!exists) throw httpError(404, 'Barber / Provider not found');
+  throw httpError(409, 'Provider is not awaiting review');
+}
+
+/**
+ * One-off rollout migration: providers that were already live before onboarding existed (no
+ * onboarding.stage stored) are marked verified and submitted, so search and booking, which only admit
+ * verified providers, keep listing them. Safe to run on every start: it only matches such records.
+ * Must finish before the server takes requests: saving a loaded legacy provider stores the schema default
+ * onboarding.stage, after which it no longer looks legacy.
+ * @returns {Promise<number>} providers migrated
+ */
+async function verifyLegacyProviders({ now = new Date() } = {}) {
+  const { modifiedCount } = await Barber.updateMany(
+    {
+      'onboarding.stage': { $exists: false },
+      isDeleted: { $ne: true },
+      verificationStatus: { $in: [null, 'pending'] }
+    },
+    {
+      $set: {
+        verificationStatus: 'verified',
+        'onboarding.stage': 'submitted',
+        'onboarding.reviewedAt': now,
+        'onboarding.reviewedBy': 'migration'
+      },
+      $push: {
+        'onboarding.history': { status: 'verified', reason: 'live before onboarding', by: 'migration', at: now }
+      }
+    }
+  );
+  return modifiedCount;
+}
+
+// Tell the provider's app about a review decision (room joined on socket connect)
+function notifyVerification(io, business) {
+  if (!io) return;
+  io.to(`barber-${business._id}`).emit('verification-updated', {
+    barberId: business._id,
+    verificationStatus: business.verificationStatus,
+    stage: business.onboarding?.stage,
+    reason: business.onboarding?.rejectionReason,
+    reviewedAt: business.onboarding?.reviewedAt
+  });
+}
+
+module.exports = {
+  isVerified,
+  isUnderReview,
+  missingBankDetails,
+  onboardingSummary,
+  applyOnboardingStep,
+  submitForReview,
+  reviewProvider,
+  verifyLegacyProviders,
+  notifyVerification
+};
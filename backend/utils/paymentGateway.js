@@ -0,0 +1,55 @@
+// backend/utils/paymentGateway.js
+// The payment gateway the app talks to, chosen by PAYMENT_GATEWAY: 'razorpay' (default) or 'mock'
+// (utils/mockGateway.js, no network or keys needed). Payment code only uses the interface below.
+
+const { createRazorpayGateway } = require('./razorpay');
+const { createMockGateway } = require('./mockGateway');
+
+/**
+ * @typedef {Object} PaymentGateway
+ * @property {string} name - 'razorpay' | 'mock'
+ * @property {string} publicKey - key handed to the client's checkout
+ * @property {(order: { amount: number, currency?: string, receipt?: string, notes?: Object }) => Promise<Object>} createOrder
+ *   amount in ₹; resolves { id, amount, currency, receipt, status, notes }
+ * @property {(orderId: string) => Promise<Object>} fetchOrder - same shape; httpError 404 for unknown ids
+ * @property {(paymentId: string) => Promise<Object>} fetchPayment - { id, orderId, amount, currency, status, method, error }
+ * @property {(paymentId: string, refund: { amount: number, notes?: Object }) => Promise<Object>} refund
+ *   amount in ₹; resolves { id, paymentId, amount, status: 'pending'|'processed' }
+ * @property {(params: { orderId: string, paymentId: string, signature: string }) => boolean} verifyPaymentSignature
+ * @property {(rawBody: Buffer|string, signature: string) => boolean} verifyWebhookSignature
+ */
+
+const GATEWAYS = {
+  razorpay: createRazorpayGateway,
+  mock: createMockGateway
+};
+
+let current = null;
+
+/**
+ * The process-wide gateway, created on first use
+ * @returns {PaymentGateway}
+ */
+function getGateway() {
+  if (!current) {
+    const name = process.env.PAYMENT_GATEWAY || 'razorpay';
+    const create = GATEWAYS[name];
+    if (!create) throw new Error(`Unknown PAYMENT_GATEWAY "${name}" (expected ${Object.keys(GATEWAYS).join(' or ')})`);
+    current = create();
+  }
+  return current;
+}
+
+/**
+ * Swap the gateway (tests: useGateway(createMockGateway({ webhookUrl: '' }))); null goes back to PAYMENT_GATEWAY
+ */
+function useGateway(gateway) {
+  current = gateway;
+  return gateway;
+}
+
+module.exports = {
+  getGateway,
+  useGateway,
+  createMockGateway
+};
@@ -0,0 +1,328 @@
+// backend/utils/payments.js
+// Gateway payments applied exactly once. Orders are recorded when created (models/Payment.js) and a captured
+// payment is settled from that record, whichever of the client's verify call and the webhook arrives first;
+// repeats of either find the wallet entry / paid booking already in place and change nothing.
+
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const httpError = require('./httpError');
+const { getGateway } = require('./paymentGateway');
+const { transitionBooking } = require('./bookingStatus');
+const { emitBookingEvent } = require('./realtime');
+const { refundCancelledBooking } = require('./refunds');
+const { postWalletEntry } = require('./wallet');
+
+// a failed attempt leaves the booking payable; the customer can retry until the hold lapses
+const PAYABLE_STATUSES = ['unpaid', 'failed'];
+
+/**
+ * Remember a freshly created order, with the amount and purpose the payment will be settled against
+ */
+function recordOrder(order, { purpose, customerId, bookingId, amount }) {
+  return Payment.create({
+    orderId: order.id,
+    purpose,
+    customerId,
+    bookingId,
+    amount,
+    currency: order.currency || 'INR'
+  });
+}
+
+// Orders created before payments were recorded are rebuilt from the order itself (amount + notes)
+async function findPayment(orderId) {
+  const existing = await Payment.findOne({ orderId });
+  if (existing) return existing;
+
+  let order;
+  try {
+    order = await getGateway().fetchOrder(orderId);
+  } catch (err) {
+    if (err.status === 404) throw httpError(404, 'Payment order not found');
+    throw err;
+  }
+  const notes = order.notes || {};
+  if (!notes.bookingId && !notes.customerId) throw httpError(404, 'Payment order not found');
+
+  try {
+    return await Payment.create({
+      orderId,
+      purpose: notes.bookingId ? 'booking' : 'wallet_top_up',
+      customerId: notes.customerId,
+      bookingId: notes.bookingId,
+      amount: order.amount,
+      currency: order.currency
+    });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return Payment.findOne({ orderId });
+  }
+}
+
+function checkExpected(payment, { purpose, customerId, bookingId }) {
+  if (purpose && payment.purpose !== purpose) throw httpError(400, 'This order is not for this kind of payment');
+  if (customerId && String(payment.customerId) !== String(customerId)) {
+    throw httpError(403, 'This payment belongs to another customer');
+  }
+  if (bookingId && String(payment.bookingId) !== String(bookingId)) throw httpError(400, 'This payment is for another booking');
+}
+
+// one ledger entry per gateway payment, for the amount of the order
+async function settleWalletTopUp(payment, paymentId) {
+  return postWalletEntry({
+    customerId: payment.customerId,
+    type: 'credit',
+    amount: payment.amount,
+    kind: 'top_up',
+    counterAccount: 'gateway',
+    reference: paymentId,
+    description: `Wallet top-up (order ${payment.orderId})`,
+    idempotencyKey: `top_up:${paymentId}`
+  });
+}
+
+// The booking was already paid another way (wallet, an earlier order): this payment goes back in full
+async function refundExtraPayment(payment, paymentId) {
+  if (payment.refunds.length) return payment.refunds[0];
+
+  const refund = await getGateway().refund(paymentId, {
+    amount: payment.amount,
+    notes: { reason: 'booking already paid', orderId: payment.orderId }
+  });
+  const record = {
+    refundId: refund.id,
+    amount: payment.amount,
+    status: refund.status,
+    reason: 'booking already paid'
+  };
+  await Payment.updateOne({ _id: payment._id }, { $push: { refunds: record }, $set: { status: 'refunded' } });
+  return record;
+}
+
+async function settleBookingPayment(payment, paymentId, io) {
+  let booking = await Booking.findOneAndUpdate(
+    { _id: payment.bookingId, paymentStatus: { $in: PAYABLE_STATUSES } },
+    { $set: { paymentStatus: 'paid', transactionId: paymentId }, $unset: { holdExpiresAt: 1 } },
+    { new: true }
+  );
+
+  let duplicate = false;
+  if (!booking) {
+    booking = await Booking.findById(payment.bookingId);
+    if (!booking) throw httpError(404, 'Booking not found');
+    if (booking.transactionId !== paymentId) {
+      return { booking, duplicate: false, alreadyPaid: true, refund: await refundExtraPayment(payment, paymentId) };
+    }
+    duplicate = true;
+    // settled before; otherwise the first attempt stopped before converting the hold and we finish it
+    if (payment.processedAt) return { booking, duplicate };
+  }
+
+  const before = booking.status;
+  // convert the hold; a concurrent sweep can only have cancelled it before the payment was recorded
+  if (booking.status === 'pending') {
+    try {
+      booking = await transitionBooking(booking._id, 'confirmed', { by: 'system', reason: 'payment received' });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      booking = await Booking.findById(booking._id);
+    }
+  }
+
+  if (Booking.RELEASED_STATUSES.includes(booking.status)) {
+    booking = await refundCancelledBooking(booking, { by: 'system', reason: 'payment received after booking hold expired' });
+    emitBookingEvent(io, 'payment-updated', booking, { refund: booking.refundInfo });
+    return { booking, duplicate, released: true, refund: booking.refundInfo };
+  }
+
+  if (!duplicate) emitBookingEvent(io, 'payment-updated', booking);
+  if (booking.status !== before) emitBookingEvent(io, 'status-changed', booking);
+  return { booking, duplicate };
+}
+
+/**
+ * Apply a captured payment: credit the wallet or mark the booking paid (and confirm its hold).
+ * Safe to call any number of times for the same payment, from verify and webhooks alike.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.paymentId
+ * @param {'verify'|'webhook'} params.via
+ * @param {Object} [params.expect] - { purpose, customerId, bookingId } the caller claims; checked against the order
+ * @param {Object} [params.io]
+ * @returns {Promise<Object>} { payment, duplicate } plus { entry } for top-ups or
+ * { booking, released?, alreadyPaid?, refund? } for bookings
+ * Throws httpError 400 / 403 / 404, or 409 when the order was paid by a different payment.
+ */
+async function settlePayment({ orderId, paymentId, via, expect = {}, io }) {
+  const payment = await findPayment(orderId);
+  checkExpected(payment, expect);
+  if (payment.processedAt && payment.paymentId !== paymentId) {
+    throw httpError(409, 'This order was already paid by another payment');
+  }
+
+  const result =
+    payment.purpose === 'wallet_top_up'
+      ? await settleWalletTopUp(payment, paymentId)
+      : await settleBookingPayment(payment, paymentId, io);
+
+  const settled = await Payment.findOneAndUpdate(
+    { _id: payment._id, processedAt: null },
+    {
+      $set: {
+        paymentId,
+        status: result.alreadyPaid ? 'refunded' : 'paid',
+        processedAt: new Date(),
+        processedVia: via
+      }
+    },
+    { new: true }
+  );
+
+  return { ...result, payment: settled || (await Payment.findById(payment._id)) };
+}
+
+/**
+ * A failed attempt (payment.failed). The order stays open for another attempt, so an order that was
+ * settled meanwhile is left alone; an unpaid booking shows the failure until the customer retries.
+ */
+async function markPaymentFailed({ orderId, paymentId, reason, io }) {
+  const payment = await findPayment(orderId);
+  if (payment.processedAt) return { payment, ignored: true };
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, processedAt: null },
+    { $set: { status: 'failed', failureReason: reason || `payment ${paymentId || `for order ${orderId}`} failed` } },
+    { new: true }
+  );
+
+  if (payment.purpose === 'booking') {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: payment.bookingId, paymentStatus: 'unpaid' },
+      { $set: { paymentStatus: 'failed' } },
+      { new: true }
+    );
+    if (booking) emitBookingEvent(io, 'payment-updated', booking, { reason: updated?.failureReason || reason });
+  }
+
+  return { payment: updated || payment };
+}
+
+/**
+ * A gateway refund completed (refund.processed): update the Payment and the booking it paid for.
+ * Refunds we issue carry notes.bookingId and are matched on refundInfo.refundId; refunds issued from the
+ * Razorpay dashboard are recorded on the booking paid by that payment.
+ * Throws httpError 409 when our own refund is not saved on the booking yet, so the webhook is retried.
+ */
+async function recordRefund(refund, { io } = {}) {
+  const amount = refund.amount / 100;
+  const status = refund.status || 'processed';
+
+  let payment = await Payment.findOneAndUpdate(
+    { paymentId: refund.payment_id, 'refunds.refundId': refund.id },
+    { $set: { 'refunds.$.status': status } },
+    { new: true }
+  );
+  if (!payment) {
+    payment = await Payment.findOneAndUpdate(
+      { paymentId: refund.payment_id },
+      { $push: { refunds: { refundId: refund.id, amount, status, reason: refund.notes?.reason } } },
+      { new: true }
+    );
+  }
+  // an extra payment returned in full never touched the booking
+  if (payment?.status === 'refunded') return { payment };
+
+  let booking = await Booking.findOneAndUpdate(
+    { 'refundInfo.refundId': refund.id },
+    { $set: { 'refundInfo.status': 'processed' } },
+    { new: true }
+  );
+
+  if (!booking && refund.notes?.bookingId) {
+    throw httpError(409, 'Refund not recorded on the booking yet');
+  }
+
+  if (!booking) {
+    const paid = await Booking.findOne({ transactionId: refund.payment_id, paymentStatus: 'paid' });
+    if (paid && !['pending', 'processed'].includes(paid.refundInfo?.status)) {
+      const total = Number(paid.totalAmount || 0);
+      booking = await Booking.findByIdAndUpdate(
+        paid._id,
+        {
+          $set: {
+            paymentStatus: amount >= total ? 'refunded' : 'partially_refunded',
+            refundInfo: {
+              refundId: refund.id,
+              amount,
+              percent: total > 0 ? Math.min(100, Math.round((amount / total) * 100)) : 100,
+              method: getGateway().name,
+              status: 'processed',
+              reason: refund.notes?.reason || 'refunded from the payment dashboard',
+              createdAt: refund.created_at ? new Date(refund.created_at * 1000) : new Date()
+            }
+          }
+        },
+        { new: true }
+      );
+    }
+  }
+
+  if (booking) emitBookingEvent(io, 'payment-updated', booking, { refund: booking.refundInfo });
+  return { payment, booking };
+}
+
+/**
+ * Handle one verified webhook delivery. Deliveries already handled (same x-razorpay-event-id) are skipped;
+ * events for orders that are not ours are acknowledged and ignored.
+ * @param {Object} body - parsed webhook body ({ event, payload })
+ * @param {Object} [options] - { eventId, io }
+ * @returns {Promise<Object>} { event, duplicate?, ignored? }
+ */
+async function handleWebhookEvent(body, { eventId, io } = {}) {
+  const event = body?.event;
+  if (eventId && (await Payment.exists({ 'events.eventId': eventId }))) return { event, duplicate: true };
+
+  const payment = body?.payload?.payment?.entity;
+  const order = body?.payload?.order?.entity;
+  const refund = body?.payload?.refund?.entity;
+  const orderId = payment?.order_id || order?.id;
+
+  let result;
+  try {
+    switch (event) {
+      case 'payment.captured':
+      case 'order.paid':
+        if (!orderId || !payment?.id) return { event, ignored: true };
+        result = await settlePayment({ orderId, paymentId: payment.id, via: 'webhook', io });
+        break;
+      case 'payment.failed':
+        if (!orderId) return { event, ignored: true };
+        // the event may carry only the order entity
+        result = await markPaymentFailed({ orderId, paymentId: payment?.id, reason: payment?.error_description, io });
+        break;
+      case 'refund.processed':
+        if (!refund?.id) return { event, ignored: true };
+        result = await recordRefund(refund, { io });
+        break;
+      default:
+        return { event, ignored: true };
+    }
+  } catch (err) {
+    // not one of our orders / the booking is gone: nothing to do, and no point in Razorpay retrying
+    if (err.status === 404) return { event, ignored: true };
+    throw err;
+  }
+
+  if (eventId && result.payment) {
+    await Payment.updateOne({ _id: result.payment._id }, { $push: { events: { eventId, event } } });
+  }
+  return { event };
+}
+
+module.exports = {
+  recordOrder,
+  settlePayment,
+  markPaymentFailed,
+  recordRefund,
+  handleWebhookEvent
+};
@@ -0,0 +1,524 @@
+// backend/utils/payouts.js
+// Provider settlement. Each completed booking accrues the provider's share as an Earning (and adds it to
+// Business.pendingPayout); a periodic cycle batches each provider's payable earnings into a Payout once they
+// pass the settlement delay and the minimum amount, holding back bookings under an open dispute, and sends it
+// through the bank transfer adapter. pendingPayout only goes down when a payout is processed (or an earning
+// is reversed); a failed payout hands its earnings back to the next batch.
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Earning = require('../models/Earning');
+const Payout = require('../models/Payout');
+const httpError = require('./httpError');
+const { bankTransferAvailable, getBankTransfer } = require('./bankTransfer');
+const { isVerified, missingBankDetails } = require('./onboarding');
+
+const Barber = require('../models/Business');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCRUAL_LOOKBACK_DAYS = 30; // completed bookings re-checked for a missing accrual
+const REFRESH_AFTER_MS = 60 * 1000; // leave a payout this long before polling its transfer
+
+function numberSetting(name, fallback) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Payout rules (env): PAYOUT_MIN_AMOUNT (₹, default 500), PAYOUT_INTERVAL_DAYS between payouts (7),
+ * PAYOUT_SETTLEMENT_DELAY_DAYS an earning waits before it can be paid, so disputes can still be raised (2),
+ * PAYOUT_DISPUTE_WINDOW_DAYS after completion a customer may dispute a booking (the settlement delay)
+ */
+function payoutSettings() {
+  const settlementDelayDays = numberSetting('PAYOUT_SETTLEMENT_DELAY_DAYS', 2);
+  return {
+    minAmount: numberSetting('PAYOUT_MIN_AMOUNT', 500),
+    intervalDays: numberSetting('PAYOUT_INTERVAL_DAYS', 7),
+    settlementDelayDays,
+    disputeWindowDays: numberSetting('PAYOUT_DISPUTE_WINDOW_DAYS', settlementDelayDays)
+  };
+}
+
+// rupees rounded to paise
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+async function inTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// add and round to paise in one atomic step (see utils/wallet.js)
+function adjustPendingPayout(barberId, delta, session) {
+  return Barber.updateOne(
+    { _id: barberId },
+    [{ $set: { pendingPayout: { $round: [{ $add: [{ $ifNull: ['$pendingPayout', 0] }, delta] }, 2] } } }],
+    { session }
+  );
+}
+
+function notifyPayout(io, payout) {
+  if (!io || !payout) return;
+  io.to(`barber-${payout.barberId}`).emit('payout-updated', {
+    payoutId: payout._id,
+    status: payout.status,
+    amount: payout.amount,
+    failureReason: payout.failureReason,
+    initiatedAt: payout.initiatedAt,
+    processedAt: payout.processedAt
+  });
+}
+
+/**
+ * Accrue the provider's share of a completed booking (total less platform commission). Runs once per
+ * booking: a repeat returns the existing earning. Only collected payments accrue: an unpaid booking is
+ * picked up by the payout cycle once it is paid. A booking whose dispute went to the customer accrues
+ * nothing payable.
+ * @returns {Promise<Earning|null>} null when there is nothing to accrue
+ */
+async function accrueEarning(booking, { now = new Date() } = {}) {
+  if (booking.paymentStatus !== 'paid') return null;
+  const grossAmount = toPaise(booking.totalAmount || 0);
+  const commission = toPaise(booking.commission || 0);
+  const amount = toPaise(Math.max(0, grossAmount - commission));
+  if (!booking.barberId || amount <= 0) return null;
+
+  const reversed = booking.dispute?.outcome === 'customer';
+  try {
+    return await inTransaction(async (session) => {
+      const [earning] = await Earning.create(
+        [
+          {
+            barberId: booking.barberId,
+            bookingId: booking._id,
+            kind: 'booking',
+            amount,
+            grossAmount,
+            commission,
+            status: reversed ? 'reversed' : 'pending',
+            onHold: booking.dispute?.status === 'open',
+            accruedAt: booking.completedAt || now
+          }
+        ],
+        { session }
+      );
+      if (!reversed) await adjustPendingPayout(booking.barberId, amount, session);
+      return earning;
+    });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    return Earning.findOne({ bookingId: booking._id, kind: 'booking' });
+  }
+}
+
+// paid, completed bookings without an accrual (paid after completion, or the process stopped right after completing)
+async function accrueMissingEarnings({ now = new Date(), limit = 500 } = {}) {
+  const bookings = await Booking.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        paymentStatus: 'paid',
+        completedAt: { $gte: new Date(now.getTime() - ACCRUAL_LOOKBACK_DAYS * DAY_MS) }
+      }
+    },
+    {
+      $lookup: {
+        from: Earning.collection.name,
+        let: { bookingId: '$_id' },
+        pipeline: [{ $match: { $expr: { $eq: ['$bookingId', '$$bookingId'] }, kind: 'booking' } }, { $project: { _id: 1 } }],
+        as: 'earning'
+      }
+    },
+    { $match: { earning: { $size: 0 } } },
+    { $limit: limit },
+    { $project: { barberId: 1, totalAmount: 1, commission: 1, dispute: 1, completedAt: 1, paymentStatus: 1 } }
+  ]);
+
+  let accrued = 0;
+  for (const booking of bookings) {
+    if (await accrueEarning(booking, { now })) accrued += 1;
+  }
+  return accrued;
+}
+
+/**
+ * Customer disputes a completed booking within the dispute window; its earning is held back from payouts
+ * until resolved.
+ * Throws httpError 400 / 403 / 404 / 409.
+ */
+async function openDispute(bookingId, { customerId, reason, now = new Date() } = {}) {
+  if (!reason || !String(reason).trim()) throw httpError(400, 'reason is required');
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw httpError(404, 'Booking not found');
+  if (customerId && String(booking.customerId) !== String(customerId)) {
+    throw httpError(403, 'Only the customer of this booking can dispute it');
+  }
+  if (booking.status !== 'completed') throw httpError(409, 'Only completed bookings can be disputed');
+  const { disputeWindowDays } = payoutSettings();
+  const completedAt = booking.completedAt || booking.date;
+  if (now.getTime() - new Date(completedAt).getTime() > disputeWindowDays * DAY_MS) {
+    throw httpError(409, `Disputes must be raised within ${disputeWindowDays} day(s) of completion`);
+  }
+
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'dispute.status': { $exists: false } },
+    { $set: { dispute: { status: 'open', reason: String(reason).trim(), openedAt: now } } },
+    { new: true }
+  );
+  if (!updated) throw httpError(409, 'This booking has already been disputed');
+
+  await Earning.updateOne({ bookingId: booking._id, kind: 'booking', status: 'pending' }, { $set: { onHold: true } });
+  return updated;
+}
+
+/**
+ * Resolve an open dispute. For the provider the earning is released to the next batch; for the customer
+ * it is reversed, or clawed back from the next payout if it was already paid. Any refund to the customer
+ * is issued separately.
+ * @returns {Promise<{ booking: Booking, earning: Earning|null }>} earning: the reversed earning or the clawback
+ * Throws httpError 400 / 404 / 409.
+ */
+async function resolveDispute(bookingId, { outcome, note, by = 'admin', now = new Date() } = {}) {
+  if (!['provider', 'customer'].includes(outcome)) throw httpError(400, 'outcome must be provider or customer');
+
+  const booking = await Booking.findOneAndUpdate(
+    { _id: bookingId, 'dispute.status': 'open' },
+    {
+      $set: {
+        'dispute.status': 'resolved',
+        'dispute.outcome': outcome,
+        'dispute.resolutionNote': note,
+        'dispute.resolvedBy': by,
+        'dispute.resolvedAt': now
+      }
+    },
+    { new: true }
+  );
+  if (!booking) {
+    if (!(await Booking.exists({ _id: bookingId }))) throw httpError(404, 'Booking not found');
+    throw httpError(409, 'This booking has no open dispute');
+  }
+
+  // not accrued yet: the accrual reads the outcome from the booking
+  const earning = await Earning.findOne({ bookingId: booking._id, kind: 'booking' });
+  if (!earning || earning.status === 'reversed') return { booking, earning: null };
+
+  if (outcome === 'provider') {
+    await Earning.updateOne({ _id: earning._id }, { $set: { onHold: false } });
+    return { booking, earning: null };
+  }
+
+  const adjusted = await inTransaction(async (session) => {
+    const reversed = await Earning.findOneAndUpdate(
+      { _id: earning._id, status: 'pending' },
+      { $set: { status: 'reversed', onHold: false } },
+      { new: true, session }
+    );
+    if (!reversed) {
+      // already in a payout: take it back from the next one
+      const [clawback] = await Earning.create(
+        [
+          {
+            barberId: earning.barberId,
+            bookingId: earning.bookingId,
+            kind: 'clawback',
+            amount: -earning.amount,
+            grossAmount: earning.grossAmount,
+            commission: earning.commission,
+            accruedAt: now
+          }
+        ],
+        { session }
+      );
+      await adjustPendingPayout(earning.barberId, -earning.amount, session);
+      return clawback;
+    }
+    await adjustPendingPayout(earning.barberId, -earning.amount, session);
+    return reversed;
+  });
+
+  return { booking, earning: adjusted };
+}
+
+// Why a provider with payable earnings gets no payout this cycle (null: go ahead)
+async function payoutBlocker(barber, { intervalDays }, now) {
+  if (!isVerified(barber)) return 'not_verified';
+  if (missingBankDetails(barber).length) return 'bank_details_missing';
+  if (await Payout.exists({ barberId: barber._id, status: 'initiated' })) return 'payout_in_progress';
+  const recent = await Payout.exists({
+    barberId: barber._id,
+    status: 'processed',
+    initiatedAt: { $gt: new Date(now.getTime() - intervalDays * DAY_MS) }
+  });
+  return recent ? 'interval_not_elapsed' : null;
+}
+
+// Claim the provider's payable earnings into a new initiated payout (null when below the minimum)
+function createPayout(barber, { cutoff, minAmount, now }) {
+  return inTransaction(async (session) => {
+    const earnings = await Earning.find({
+      barberId: barber._id,
+      status: 'pending',
+      onHold: false,
+      accruedAt: { $lte: cutoff }
+    })
+      .sort({ accruedAt: 1 })
+      .session(session);
+
+    const amount = toPaise(earnings.reduce((sum, e) => sum + e.amount, 0));
+    if (!earnings.length || amount < Math.max(minAmount, 1)) return null;
+
+    const bank = barber.bankDetails || {};
+    const [payout] = await Payout.create(
+      [
+        {
+          barberId: barber._id,
+          amount,
+          earningCount: earnings.length,
+          periodStart: earnings[0].accruedAt,
+          periodEnd: earnings[earnings.length - 1].accruedAt,
+          bankAccount: {
+            accountHolder: bank.accountHolder,
+            bankName: bank.bankName,
+            ifscCode: bank.ifscCode,
+            accountLast4: String(bank.accountNumber || '').slice(-4)
+          },
+          initiatedAt: now,
+          history: [{ status: 'initiated', at: now }]
+        }
+      ],
+      { session }
+    );
+
+    const ids = earnings.map((e) => e._id);
+    const { modifiedCount } = await Earning.updateMany(
+      { _id: { $in: ids }, status: 'pending', onHold: false },
+      { $set: { status: 'batched', payoutId: payout._id } },
+      { session }
+    );
+    if (modifiedCount !== ids.length) throw httpError(409, 'Earnings changed while the payout was being created');
+
+    return payout;
+  });
+}
+
+// Move an initiated payout to processed / failed from the adapter's transfer status ('processing' waits)
+async function applyTransfer(payout, transfer, { io, now = new Date() } = {}) {
+  if (transfer.id && payout.transferId !== transfer.id) {
+    await Payout.updateOne({ _id: payout._id }, { $set: { transferId: transfer.id } });
+  }
+  if (!['processed', 'failed'].includes(transfer.status)) return Payout.findById(payout._id);
+
+  const processed = transfer.status === 'processed';
+  const updated = await inTransaction(async (session) => {
+    const done = await Payout.findOneAndUpdate(
+      { _id: payout._id, status: 'initiated' },
+      {
+        $set: processed
+          ? { status: 'processed', processedAt: now }
+          : { status: 'failed', failedAt: now, failureReason: transfer.failureReason || 'Transfer failed' },
+        $push: { history: { status: transfer.status, note: transfer.failureReason || undefined, at: now } }
+      },
+      { new: true, session }
+    );
+    if (!done) return null;
+
+    if (processed) {
+      await Earning.updateMany({ payoutId: done._id, status: 'batched' }, { $set: { status: 'paid' } }, { session });
+      await adjustPendingPayout(done.barberId, -done.amount, session);
+    } else {
+      // back to pending for the next batch
+      await Earning.updateMany(
+        { payoutId: done._id, status: 'batched' },
+        { $set: { status: 'pending' }, $unset: { payoutId: 1 } },
+        { session }
+      );
+    }
+    return done;
+  });
+
+  if (!updated) return Payout.findById(payout._id);
+  notifyPayout(io, updated);
+  return updated;
+}
+
+/**
+ * Send an initiated payout to the bank. The payout id is the transfer reference, so sending again never
+ * pays twice. A transfer the adapter rejects (4xx) fails the payout; other errors leave it initiated
+ * for the next cycle to retry.
+ */
+async function executePayout(payout, { io, now = new Date() } = {}) {
+  const barber = await Barber.findById(payout.barberId).select('bankDetails');
+  const bank = barber?.bankDetails?.toObject ? barber.bankDetails.toObject() : { ...barber?.bankDetails };
+
+  let transfer;
+  try {
+    transfer = await getBankTransfer().transfer({
+      reference: String(payout._id),
+      amount: payout.amount,
+      currency: payout.currency,
+      account: bank,
+      narration: `Payout ${payout._id}`
+    });
+  } catch (err) {
+    if (!err.status || err.status >= 500) {
+      console.error('executePayout error:', err);
+      return payout;
+    }
+    transfer = { status: 'failed', failureReason: err.message };
+  }
+
+  return applyTransfer(payout, transfer, { io, now });
+}
+
+// Poll an initiated payout's transfer. One the adapter no longer knows (e.g. the stub after a restart) is
+// sent again by its reference, which settles or fails it instead of leaving it initiated for good.
+async function pollTransfer(payout, { io, now }) {
+  let transfer;
+  try {
+    transfer = await getBankTransfer().fetchTransfer(payout.transferId);
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return executePayout(payout, { io, now });
+  }
+  return applyTransfer(payout, transfer, { io, now });
+}
+
+// Initiated payouts from earlier cycles: poll their transfer, or send it if it never went out
+async function refreshPayouts({ io, now = new Date() } = {}) {
+  const open = await Payout.find({
+    status: 'initiated',
+    initiatedAt: { $lte: new Date(now.getTime() - REFRESH_AFTER_MS) }
+  }).limit(100);
+
+  let settled = 0;
+  for (const payout of open) {
+    try {
+      const updated = payout.transferId
+        ? await pollTransfer(payout, { io, now })
+        : await executePayout(payout, { io, now });
+      if (updated?.status !== 'initiated') settled += 1;
+    } catch (err) {
+      console.error(`refreshPayouts error (${payout._id}):`, err);
+    }
+  }
+  return settled;
+}
+
+/**
+ * One settlement cycle (background job / admin "run now"): accrue missed earnings, settle transfers in
+ * flight, then batch and send a payout for every provider whose payable earnings reach the minimum.
+ * Without a usable bank transfer adapter the batches are still made but not sent: they stay initiated
+ * with no transferId, and the first cycle with an adapter sends them.
+ * @param {Object} [options] - { io, now } plus overrides of payoutSettings()
+ * @returns {Promise<Object>} { accrued, refreshed, sent, payouts: Payout[], skipped: [{ barberId, amount, reason }] }
+ */
+async function runPayoutCycle({ io, now = new Date(), ...overrides } = {}) {
+  const send = bankTransferAvailable();
+  const settings = { ...payoutSettings(), ...overrides };
+  const cutoff = new Date(now.getTime() - settings.settlementDelayDays * DAY_MS);
+
+  const accrued = await accrueMissingEarnings({ now });
+  const refreshed = send ? await refreshPayouts({ io, now }) : 0;
+
+  const totals = await Earning.aggregate([
+    { $match: { status: 'pending', onHold: false, accruedAt: { $lte: cutoff } } },
+    { $group: { _id: '$barberId', amount: { $sum: '$amount' } } },
+    { $match: { amount: { $gte: Math.max(settings.minAmount, 1) } } }
+  ]);
+
+  const payouts = [];
+  const skipped = [];
+  for (const { _id: barberId, amount } of totals) {
+    try {
+      const barber = await Barber.findById(barberId);
+      const reason = barber ? await payoutBlocker(barber, settings, now) : 'provider_not_found';
+      if (reason) {
+        skipped.push({ barberId, amount: toPaise(amount), reason });
+        continue;
+      }
+
+      const payout = await createPayout(barber, { cutoff, minAmount: settings.minAmount, now });
+      if (!payout) continue;
+      notifyPayout(io, payout);
+      payouts.push(send ? await executePayout(payout, { io, now }) : payout);
+    } catch (err) {
+      console.error(`runPayoutCycle error (${barberId}):`, err);
+      skipped.push({ barberId, amount: toPaise(amount), reason: err.message || 'error' });
+    }
+  }
+
+  return { accrued, refreshed, sent: send, payouts, skipped };
+}
+
+/**
+ * Where a provider's money stands: payable now, still settling, held by disputes, in a payout in flight
+ */
+async function payoutSummary(barber, { now = new Date() } = {}) {
+  const settings = payoutSettings();
+  const cutoff = new Date(now.getTime() - settings.settlementDelayDays * DAY_MS);
+
+  const rows = await Earning.aggregate([
+    { $match: { barberId: barber._id, status: { $in: ['pending', 'batched'] } } },
+    {
+      $group: {
+        _id: { status: '$status', onHold: '$onHold', ready: { $lte: ['$accruedAt', cutoff] } },
+        amount: { $sum: '$amount' }
+      }
+    }
+  ]);
+  const sum = (test) => toPaise(rows.filter((r) => test(r._id)).reduce((total, r) => total + r.amount, 0));
+
+  const last = await Payout.findOne({ barberId: barber._id, status: 'processed' }).sort({ initiatedAt: -1 });
+
+  return {
+    pendingPayout: toPaise(barber.pendingPayout || 0),
+    available: sum((k) => k.status === 'pending' && !k.onHold && k.ready),
+    settling: sum((k) => k.status === 'pending' && !k.onHold && !k.ready),
+    onHold: sum((k) => k.status === 'pending' && k.onHold),
+    inPayout: sum((k) => k.status === 'batched'),
+    minAmount: settings.minAmount,
+    settlementDelayDays: settings.settlementDelayDays,
+    intervalDays: settings.intervalDays,
+    lastPayout: last ? { _id: last._id, amount: last.amount, processedAt: last.processedAt } : null,
+    nextPayoutFrom: last ? new Date(last.initiatedAt.getTime() + settings.intervalDays * DAY_MS) : null,
+    bankDetailsComplete: !missingBankDetails(barber).length,
+    verified: isVerified(barber)
+  };
+}
+
+/**
+ * Page of payouts, newest first
+ * @returns {Promise<{ total: number, payouts: Payout[] }>}
+ */
+async function listPayouts(filter, { page = 1, limit = 20 } = {}) {
+  const [total, payouts] = await Promise.all([
+    Payout.countDocuments(filter),
+    Payout.find(filter)
+      .sort({ initiatedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+  return { total, payouts };
+}
+
+module.exports = {
+  payoutSettings,
+  accrueEarning,
+  openDispute,
+  resolveDispute,
+  runPayoutCycle,
+  payoutSummary,
+  listPayouts
+};
@@ -0,0 +1,159 @@
+// backend/utils/queue.js
+// Walk-in queue: wait-time estimation and live broadcasting.
+// Estimates walk the queue in order, fitting each party into the first gap on a free chair
+// that does not collide with today's booked appointments.
+
+const QueueEntry = require('../models/QueueEntry');
+const {
+  DEFAULT_DURATION_MINUTES,
+  activeStaff,
+  canPerform,
+  findDayBookings,
+  localDayKey,
+  toMinutes,
+  toTimeString
+} = require('./availability');
+
+const ACTIVE_STATUSES = ['waiting', 'serving'];
+
+function sameId(a, b) {
+  return String(a || '') === String(b || '');
+}
+
+// earliest start >= from that does not overlap any busy interval
+function fitAfter(from, duration, busy) {
+  let start = from;
+  busy.forEach((b) => {
+    if (start < b.end && b.start < start + duration) start = b.end;
+  });
+  return start;
+}
+
+/**
+ * Pure estimate (no DB access).
+ * @param {Object} params
+ * @param {Array} params.entries - active queue entries (waiting + serving), oldest first
+ * @param {Array} params.bookings - today's active bookings ({ time, duration, staffId })
+ * @param {Array} params.staff - active stylists ([] for a single-chair business)
+ * @param {Date}  params.now
+ * @returns {Array} [{ entryId, status, position, staffId, estimatedStart, estimatedWaitMinutes }]
+ */
+function estimateQueue({ entries, bookings = [], staff = [], now = new Date() }) {
+  const nowMinute = now.getHours() * 60 + now.getMinutes();
+  const chairs = (staff.length ? staff : [null]).map((member) => ({
+    member,
+    clock: nowMinute,
+    busy: bookings
+      .filter((b) => !member || !b.staffId || sameId(b.staffId, member._id))
+      .map((b) => {
+        const start = toMinutes(b.time);
+        return start === null ? null : { start, end: start + (Number(b.duration) || DEFAULT_DURATION_MINUTES) };
+      })
+      .filter(Boolean)
+      .sort((x, y) => x.start - y.start)
+  }));
+
+  const result = [];
+
+  // parties already in the chair hold it until they are expected to finish
+  entries
+    .filter((e) => e.status === 'serving')
+    .forEach((e) => {
+      const chair =
+        chairs.find((c) => c.member && sameId(c.member._id, e.staffId)) ||
+        chairs.find((c) => c.clock === nowMinute) ||
+        chairs[0];
+      const served = e.servedAt ? new Date(e.servedAt) : now;
+      const servedMinute = served.getHours() * 60 + served.getMinutes();
+      chair.clock = Math.max(chair.clock, servedMinute + e.duration);
+      result.push({
+        entryId: e._id,
+        status: e.status,
+        position: 0,
+        staffId: chair.member ? chair.member._id : null,
+        estimatedStart: toTimeString(servedMinute),
+        estimatedWaitMinutes: 0
+      });
+    });
+
+  entries
+    .filter((e) => e.status === 'waiting')
+    .forEach((e, index) => {
+      const candidates = chairs.filter(
+        (c) => !c.member || ((!e.staffId || sameId(c.member._id, e.staffId)) && canPerform(c.member, e.serviceIds))
+      );
+      let best = null;
+      (candidates.length ? candidates : chairs).forEach((c) => {
+        const start = fitAfter(c.clock, e.duration, c.busy);
+        if (!best || start < best.start) best = { chair: c, start };
+      });
+
+      best.chair.clock = best.start + e.duration;
+      result.push({
+        entryId: e._id,
+        status: e.status,
+        position: index + 1,
+        staffId: best.chair.member ? best.chair.member._id : null,
+        estimatedStart: toTimeString(best.start % (24 * 60)),
+        estimatedWaitMinutes: best.start - nowMinute
+      });
+    });
+
+  return result;
+}
+
+/**
+ * Today's queue for a business with estimates.
+ * `entries` keeps full documents for provider views; `publicEntries` is safe to broadcast.
+ */
+async function getQueueSnapshot(business, { now = new Date() } = {}) {
+  const queueDate = localDayKey(now);
+  const entries = await QueueEntry.find({
+    barberId: business._id,
+    queueDate,
+    status: { $in: ACTIVE_STATUSES }
+  }).sort({ joinedAt: 1 });
+
+  const bookings = await findDayBookings(business._id, queueDate);
+  const estimates = estimateQueue({ entries, bookings, staff: activeStaff(business), now });
+  const byId = new Map(estimates.map((e) => [String(e.entryId), e]));
+
+  const merged = entries.map((entry) => ({ ...entry.toObject(), ...byId.get(String(entry._id)) }));
+
+  return {
+    barberId: business._id,
+    queueDate,
+    waiting: estimates.filter((e) => e.status === 'waiting').length,
+    entries: merged,
+    // no phone numbers / customer ids in broadcasts; customers find themselves by entryId
+    publicEntries: merged.map((e) => ({
+      entryId: e._id,
+      name: String(e.name || '').split(' ')[0],
+      status: e.status,
+      position: e.position,
+      estimatedStart: e.estimatedStart,
+      estimatedWaitMinutes: e.estimatedWaitMinutes
+    }))
+  };
+}
+
+/**
+ * Recompute and push the queue to everyone watching `queue-<barberId>`
+ */
+async function publishQueue(io, business) {
+  const snapshot = await getQueueSnapshot(business);
+  io?.to(`queue-${business._id}`).emit('queue-updated', {
+    barberId: snapshot.barberId,
+    queueDate: snapshot.queueDate,
+    waiting: snapshot.waiting,
+    entries: snapshot.publicEntries
+  });
+  return snapshot;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  estimateQueue,
+  getQueueSnapshot,
+  publishQueue
+};
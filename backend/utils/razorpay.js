@@ -0,0 +1,119 @@
+// backend/utils/razorpay.js
+// Razorpay adapter for utils/paymentGateway.js. Amounts cross the gateway interface in ₹ and are
+// converted to paise here; SDK errors become httpErrors (404 for unknown ids, 502 otherwise).
+
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const httpError = require('./httpError');
+
+function hmacHex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// constant-time comparison of hex signatures
+function safeEqual(expected, received) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function gatewayError(err, { notFound = false } = {}) {
+  const message = err?.error?.description || err?.message || 'Payment gateway error';
+  if (notFound && [400, 404].includes(err?.statusCode)) return httpError(404, message);
+  return httpError(502, message);
+}
+
+function toOrder(order) {
+  return {
+    id: order.id,
+    amount: order.amount / 100,
+    currency: order.currency,
+    receipt: order.receipt,
+    status: order.status,
+    notes: order.notes || {}
+  };
+}
+
+function toPayment(payment) {
+  return {
+    id: payment.id,
+    orderId: payment.order_id,
+    amount: payment.amount / 100,
+    currency: payment.currency,
+    status: payment.status,
+    method: payment.method,
+    error: payment.error_description || null
+  };
+}
+
+function toRefund(refund) {
+  return {
+    id: refund.id,
+    paymentId: refund.payment_id,
+    amount: refund.amount / 100,
+    status: refund.status
+  };
+}
+
+/**
+ * @returns {PaymentGateway} (see utils/paymentGateway.js)
+ */
+function createRazorpayGateway({
+  keyId = process.env.RAZORPAY_KEY_ID,
+  keySecret = process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET
+} = {}) {
+  const client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+  return {
+    name: 'razorpay',
+    publicKey: keyId,
+
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+      try {
+        return toOrder(await client.orders.create({ amount: Math.round(amount * 100), currency, receipt, notes }));
+      } catch (err) {
+        throw gatewayError(err);
+      }
+    },
+
+    async fetchOrder(orderId) {
+      try {
+        return toOrder(await client.orders.fetch(orderId));
+      } catch (err) {
+        throw gatewayError(err, { notFound: true });
+      }
+    },
+
+    async fetchPayment(paymentId) {
+      try {
+        return toPayment(await client.payments.fetch(paymentId));
+      } catch (err) {
+        throw gatewayError(err, { notFound: true });
+      }
+    },
+
+    async refund(paymentId, { amount, notes = {} }) {
+      try {
+        return toRefund(await client.payments.refund(paymentId, { amount: Math.round(amount * 100), notes }));
+      } catch (err) {
+        throw gatewayError(err);
+      }
+    },
+
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+      return safeEqual(hmacHex(keySecret, `${orderId}|${paymentId}`), signature);
+    },
+
+    verifyWebhookSignature(rawBody, signature) {
+      if (!rawBody || !signature || !webhookSecret) return false;
+      return safeEqual(hmacHex(webhookSecret, rawBody), signature);
+    }
+  };
+}
+
+module.exports = {
+  hmacHex,
+  safeEqual,
+  createRazorpayGateway
+};
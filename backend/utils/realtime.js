@@ -0,0 +1,83 @@
+// backend/utils/realtime.js
+// Socket.io auth and booking events. Sockets authenticate with the same access tokens the auth
+// endpoints issue; every socket joins its own room (customer-<id> / barber-<id>) and may only join
+// rooms of bookings it is part of. Booking events are emitted by the server, never relayed from clients.
+
+const Booking = require('../models/Booking');
+const { verifyAccessToken } = require('./auth');
+
+// token payload `type` -> personal room prefix
+const ROOM_PREFIX = {
+  customer: 'customer',
+  provider: 'barber'
+};
+
+/**
+ * io.use middleware: verify the handshake token ({ auth: { token } } or an Authorization: Bearer header)
+ * and expose { id, type } as socket.data.user
+ */
+function authenticateSocket(socket, next) {
+  const header = socket.handshake.headers?.authorization || '';
+  const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+  if (!token) return next(new Error('Authentication required'));
+
+  try {
+    // refresh tokens are refused like invalid ones
+    const decoded = verifyAccessToken(token);
+    if (!ROOM_PREFIX[decoded.type]) return next(new Error('Unsupported account type'));
+    socket.data.user = { id: String(decoded.id), type: decoded.type };
+    next();
+  } catch (err) {
+    next(new Error('Invalid or expired token'));
+  }
+}
+
+function personalRoom(user) {
+  return `${ROOM_PREFIX[user.type]}-${user.id}`;
+}
+
+/**
+ * Whether an authenticated user may follow a booking (its customer or its provider)
+ */
+async function canJoinBooking(user, bookingId) {
+  const booking = await Booking.findById(bookingId).select('customerId barberId');
+  if (!booking) return false;
+  if (user.type === 'customer') return String(booking.customerId) === user.id;
+  if (user.type === 'provider') return String(booking.barberId) === user.id;
+  return false;
+}
+
+/**
+ * Emit a booking event to everyone concerned: the booking room, the customer and the provider
+ * @param {Object} io
+ * @param {string} event - 'new-booking' | 'status-changed' | 'payment-updated' | 'reschedule-updated'
+ * @param {Booking} booking
+ * @param {Object} [extra] - additional payload fields
+ */
+function emitBookingEvent(io, event, booking, extra = {}) {
+  if (!io || !booking) return;
+  const customerId = booking.customerId?._id || booking.customerId;
+  const barberId = booking.barberId?._id || booking.barberId;
+
+  io.to(`booking-${booking._id}`)
+    .to(`customer-${customerId}`)
+    .to(`barber-${barberId}`)
+    .emit(event, {
+      bookingId: booking._id,
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+      date: booking.date,
+      time: booking.time,
+      serviceName: booking.serviceName,
+      staffId: booking.staffId,
+      totalAmount: booking.totalAmount,
+      ...extra
+    });
+}
+
+module.exports = {
+  authenticateSocket,
+  personalRoom,
+  canJoinBooking,
+  emitBookingEvent
+};
@@ -0,0 +1,201 @@
+// backend/utils/recommendations.js
+// "Recommended for you": scores nearby providers against what the customer booked before, their
+// stated preferences, bookmarks and the providers' ratings. Customers with no history or
+// preferences get a cold-start ranking (rating, distance, popularity).
+
+const Booking = require('../models/Booking');
+const { parseSearchParams, searchProviders } = require('./search');
+
+const Barber = require('../models/Business');
+
+const CANDIDATE_POOL = 50;
+const HISTORY_LIMIT = 100;
+const DEFAULT_RADIUS_KM = 10;
+
+// priceRange keywords (per service, ₹); '200-800' style ranges are also accepted
+const PRICE_BANDS = {
+  budget: [0, 300],
+  mid: [300, 1000],
+  premium: [1000, Infinity]
+};
+
+const WEIGHTS = {
+  personal: { affinity: 0.3, price: 0.15, distance: 0.2, rating: 0.2, relationship: 0.15 },
+  coldStart: { rating: 0.5, distance: 0.3, popularity: 0.2 }
+};
+
+function parsePriceRange(range) {
+  if (!range) return null;
+  const key = String(range).toLowerCase().trim();
+  if (PRICE_BANDS[key]) return PRICE_BANDS[key];
+  const match = key.match(/^(\d+)\s*-\s*(\d+)$/);
+  return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+// rating pulled towards 4 until a provider has a few reviews, scaled to 0..1
+function ratingScore(provider) {
+  const n = Number(provider.reviewCount || 0);
+  const bayes = (Number(provider.rating || 0) * n + 4 * 5) / (n + 5);
+  return Math.max(0, Math.min(1, (bayes - 1) / 4));
+}
+
+function distanceScore(provider, radiusKm) {
+  if (provider.distanceKm === null || provider.distanceKm === undefined) return 0.5;
+  return Math.max(0, 1 - provider.distanceKm / radiusKm);
+}
+
+/**
+ * What the customer's completed bookings say: categories/services they book, typical spend,
+ * and how each visited provider went ({ visits, rating })
+ */
+async function bookingProfile(customerId) {
+  const bookings = await Booking.find({ customerId, status: 'completed' })
+    .sort({ date: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('barberId serviceId serviceName services price rating');
+
+  const visited = new Map();
+  for (const b of bookings) {
+    const key = String(b.barberId);
+    const entry = visited.get(key) || { visits: 0, rating: null };
+    entry.visits += 1;
+    if (entry.rating === null && b.rating?.overall) entry.rating = b.rating.overall;
+    visited.set(key, entry);
+  }
+
+  // booked service ids -> categories of those services at the provider
+  const providers = visited.size
+    ? await Barber.find({ _id: { $in: [...visited.keys()] } }).select('services._id services.category')
+    : [];
+  const categoryOf = new Map(providers.flatMap((p) => p.services.map((s) => [String(s._id), s.category])));
+
+  const interests = new Map();
+  const addInterest = (term) => {
+    const key = String(term || '').toLowerCase().trim();
+    if (key) interests.set(key, (interests.get(key) || 0) + 1);
+  };
+  for (const b of bookings) {
+    const lines = b.services?.length ? b.services : [{ serviceId: b.serviceId, name: b.serviceName }];
+    lines.forEach((line) => {
+      addInterest(categoryOf.get(String(line.serviceId)));
+      addInterest(line.name);
+    });
+  }
+
+  const spend = bookings.map((b) => Number(b.price || 0)).filter(Boolean);
+  const averageSpend = spend.length ? spend.reduce((a, b) => a + b, 0) / spend.length : null;
+
+  return { count: bookings.length, visited, interests, averageSpend };
+}
+
+// share of the customer's interests this provider offers (weighted by how often they were booked)
+function affinityScore(provider, interests) {
+  if (!interests.size) return 0;
+  const offered = provider.services.flatMap((s) => [String(s.category || '').toLowerCase(), String(s.name || '').toLowerCase()]);
+  let total = 0;
+  let matched = 0;
+  for (const [term, weight] of interests) {
+    total += weight;
+    if (offered.some((o) => o === term || o.includes(term))) matched += weight;
+  }
+  return total ? matched / total : 0;
+}
+
+function priceScore(provider, band) {
+  if (!band || provider.fromPrice === null || provider.fromPrice === undefined) return 0.5;
+  const [min, max] = band;
+  if (provider.fromPrice >= min && provider.fromPrice <= max) return 1;
+  const gap = provider.fromPrice < min ? min - provider.fromPrice : provider.fromPrice - max;
+  return Math.max(0, 1 - gap / Math.max(min, 100));
+}
+
+/**
+ * Recommended providers for a customer.
+ * @param {Customer} customer
+ * @param {Object} [options]
+ * @param {number[]} [options.near] - [lng, lat]; defaults to preferences.preferredLocation
+ * @param {number} [options.limit]
+ * @returns {Promise<{ coldStart: boolean, results: Object[] }>} public profiles + distanceKm, score, reasons
+ */
+async function recommendProviders(customer, { near, limit = 10 } = {}) {
+  const prefs = customer.preferences || {};
+  const location =
+    near || (prefs.preferredLocation?.lat != null && prefs.preferredLocation?.lng != null
+      ? [prefs.preferredLocation.lng, prefs.preferredLocation.lat]
+      : null);
+  const radiusKm = Math.min(50, Number(prefs.distance) || DEFAULT_RADIUS_KM);
+
+  const params = parseSearchParams({
+    lat: location?.[1],
+    lng: location?.[0],
+    radiusKm,
+    limit: CANDIDATE_POOL
+  });
+  if (params.error) throw Object.assign(new Error(params.error), { status: 400 });
+
+  const [{ results: candidates }, history] = await Promise.all([searchProviders(params), bookingProfile(customer._id)]);
+
+  (prefs.serviceType || []).forEach((t) => {
+    const key = String(t).toLowerCase().trim();
+    if (key) history.interests.set(key, (history.interests.get(key) || 0) + 2); // stated preferences count double
+  });
+
+  const bookmarked = new Set((customer.bookmarkedBarbers || []).map(String));
+  const band =
+    parsePriceRange(prefs.priceRange) ||
+    (history.averageSpend ? [history.averageSpend * 0.5, history.averageSpend * 1.5] : null);
+
+  const coldStart = !history.count && !history.interests.size && !bookmarked.size && !band;
+  const maxBookings = Math.max(1, ...candidates.map((c) => c.totalBookings || 0));
+
+  const scored = candidates.map((provider) => {
+    const id = String(provider.id);
+    const reasons = [];
+    let score;
+
+    if (coldStart) {
+      const w = WEIGHTS.coldStart;
+      score =
+        w.rating * ratingScore(provider) +
+        w.distance * distanceScore(provider, radiusKm) +
+        w.popularity * (Math.log1p(provider.totalBookings || 0) / Math.log1p(maxBookings));
+    } else {
+      const w = WEIGHTS.personal;
+      const affinity = affinityScore(provider, history.interests);
+      const visit = history.visited.get(id);
+
+      let relationship = 0;
+      if (bookmarked.has(id)) {
+        relationship = 1;
+        reasons.push('In your bookmarks');
+      } else if (visit && (visit.rating === null || visit.rating >= 4)) {
+        relationship = visit.rating ? 0.8 : 0.5;
+        reasons.push('You have booked here before');
+      }
+
+      score =
+        w.affinity * affinity +
+        w.price * priceScore(provider, band) +
+        w.distance * distanceScore(provider, radiusKm) +
+        w.rating * ratingScore(provider) +
+        w.relationship * relationship;
+
+      // a provider the customer rated poorly is pushed down, not hidden
+      if (visit?.rating && visit.rating <= 2) score -= 0.5;
+      if (affinity >= 0.5) reasons.push('Offers services you usually book');
+    }
+
+    if (provider.distanceKm !== null && provider.distanceKm <= 2) reasons.push('Near you');
+    if (Number(provider.rating) >= 4.5 && Number(provider.reviewCount) >= 5) reasons.push('Highly rated');
+
+    return { ...provider, score: Math.round(score * 1000) / 1000, reasons };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  return { coldStart, results: scored.slice(0, limit) };
+}
+
+module.exports = {
+  parsePriceRange,
+  recommendProviders
+};
@@ -0,0 +1,134 @@
+// backend/utils/recurring.js
+// Recurring series: generates the future bookings of a series as they enter the provider's
+// prebook window. Occurrences that cannot be booked are kept on the series as 'skipped'
+// (holiday / closed) or 'conflict' (slot taken) instead of being silently dropped.
+// Occurrences are booked weeks ahead, so their payment is deferred: they carry no checkout hold and the
+// customer pays each one (POST /api/payment/process-booking) any time before the visit.
+
+const BookingSeries = require('../models/BookingSeries');
+const { localDayKey, toDayKey } = require('./availability');
+const { placeBooking } = require('./bookings');
+
+const Barber = require('../models/Business');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SKIP_REASONS = ['holiday', 'closed', 'outside_prebook_window', 'past_date'];
+
+/**
+ * Dates ('YYYY-MM-DD') of a series from the anchor onwards, up to `horizon` (inclusive)
+ */
+function seriesDates(series, horizonKey) {
+  const anchor = Date.parse(toDayKey(series.startDate));
+  const step = series.intervalWeeks * 7 * MS_PER_DAY;
+  const end = Math.min(Date.parse(horizonKey), series.endDate ? Date.parse(toDayKey(series.endDate)) : Infinity);
+
+  const dates = [];
+  for (let ts = anchor; ts <= end; ts += step) {
+    if (series.maxOccurrences && dates.length >= series.maxOccurrences) break;
+    dates.push(new Date(ts).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Book every not-yet-generated occurrence that falls inside the prebook window.
+ * Each date is claimed on the series first so concurrent runs never book it twice; a claim whose
+ * booking fails unexpectedly (5xx) is released again for the next run.
+ */
+async function generateOccurrences(series, { now = new Date() } = {}) {
+  if (series.status !== 'active') return series;
+
+  const barber = await Barber.findById(series.barberId);
+  if (!barber) return series;
+
+  const todayKey = localDayKey(now);
+  const horizonKey = new Date(Date.parse(todayKey) + Number(barber.prebookWindowDays ?? 30) * MS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+  const known = new Set(series.occurrences.map((o) => toDayKey(o.date)));
+
+  for (const dayKey of seriesDates(series, horizonKey)) {
+    if (known.has(dayKey) || dayKey < todayKey) continue;
+    const date = new Date(dayKey);
+
+    const claimed = await BookingSeries.findOneAndUpdate(
+      { _id: series._id, status: 'active', 'occurrences.date': { $ne: date } },
+      { $push: { occurrences: { date, status: 'pending' } } }
+    );
+    if (!claimed) continue;
+
+    const result = {};
+    try {
+      const booking = await placeBooking({
+        barber,
+        customerId: series.customerId,
+        serviceIds: series.serviceIds,
+        staffId: series.staffId || undefined,
+        date: dayKey,
+        time: series.time,
+        location: series.location?.toObject ? series.location.toObject() : series.location,
+        paymentMethod: series.paymentMethod,
+        seriesId: series._id,
+        deferPayment: true
+      });
+      result.status = 'booked';
+      result.bookingId = booking._id;
+    } catch (err) {
+      if (!err.status || err.status >= 500) {
+        // unclaim the date so the next run retries it instead of leaving it pending without a booking
+        await BookingSeries.updateOne(
+          { _id: series._id },
+          { $pull: { occurrences: { date, status: 'pending', bookingId: { $exists: false } } } }
+        );
+        throw err;
+      }
+      const reason = err.details?.reason || 'unavailable';
+      result.status = SKIP_REASONS.includes(reason) ? 'skipped' : 'conflict';
+      result.reason = reason;
+    }
+
+    await BookingSeries.updateOne(
+      { _id: series._id, 'occurrences.date': date },
+      {
+        $set: {
+          'occurrences.$.status': result.status,
+          'occurrences.$.bookingId': result.bookingId,
+          'occurrences.$.reason': result.reason
+        }
+      }
+    );
+  }
+
+  return BookingSeries.findById(series._id);
+}
+
+/**
+ * Background job: roll every active series forward as the prebook window advances
+ */
+async function extendRecurringSeries({ now = new Date() } = {}) {
+  const active = await BookingSeries.find({ status: 'active' });
+  for (const series of active) {
+    try {
+      await generateOccurrences(series, { now });
+    } catch (err) {
+      console.error(`recurring series ${series._id} error:`, err);
+    }
+  }
+}
+
+/**
+ * Keep a series' occurrence in step with its booking (e.g. a single occurrence cancelled)
+ */
+async function markOccurrence(booking, status) {
+  if (!booking.seriesId) return;
+  await BookingSeries.updateOne(
+    { _id: booking.seriesId, 'occurrences.bookingId': booking._id },
+    { $set: { 'occurrences.$.status': status } }
+  );
+}
+
+module.exports = {
+  generateOccurrences,
+  extendRecurringSeries,
+  markOccurrence
+};
@@ -0,0 +1,58 @@
+// backend/utils/redis.js
+// Shared state for running more than one API instance. When REDIS_URL is set, Socket.io rooms and
+// rate-limit counters live in Redis; without it everything stays in-process (single instance).
+
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { RedisStore } = require('rate-limit-redis');
+
+// every client opened here, so shutdown can close them
+const clients = [];
+
+function createRedisClient(url) {
+  if (!url) return null;
+  const client = createClient({ url });
+  client.on('error', (err) => console.error('Redis error:', err.message));
+  clients.push(client);
+  return client;
+}
+
+/**
+ * Route Socket.io emits through Redis pub/sub so rooms span all instances.
+ * @returns {Promise<boolean>} whether the Redis adapter was attached (false: in-memory adapter kept)
+ */
+async function attachSocketAdapter(io, url = process.env.REDIS_URL) {
+  const pubClient = createRedisClient(url);
+  if (!pubClient) return false;
+
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (err) => console.error('Redis error:', err.message));
+  clients.push(subClient);
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(pubClient, subClient));
+  return true;
+}
+
+/**
+ * express-rate-limit store shared by all instances, or undefined (in-memory store) without REDIS_URL
+ * @param {string} prefix - key prefix, one per limiter
+ */
+function createRateLimitStore(prefix = 'rl:', url = process.env.REDIS_URL) {
+  const client = createRedisClient(url);
+  if (!client) return undefined;
+
+  // commands issued while connecting are queued, so the store can be created synchronously
+  client.connect().catch((err) => console.error('Redis rate-limit store connection error:', err.message));
+  return new RedisStore({ prefix, sendCommand: (...args) => client.sendCommand(args) });
+}
+
+async function closeRedis() {
+  await Promise.all(clients.splice(0).map((client) => (client.isOpen ? client.quit() : undefined)));
+}
+
+module.exports = {
+  attachSocketAdapter,
+  createRateLimitStore,
+  closeRedis
+};
@@ -0,0 +1,110 @@
+// backend/utils/refunds.js
+// Cancellation refunds: work out the refundable share from the provider's cancellation policy
+// and send it back the way the customer paid (wallet credit or gateway refund).
+
+const Booking = require('../models/Booking');
+const { getGateway } = require('./paymentGateway');
+const { postWalletEntry } = require('./wallet');
+const { toDateTime, toDayKey } = require('./availability');
+
+const Barber = require('../models/Business');
+
+const DEFAULT_TIERS = [
+  { hoursBefore: 24, refundPercent: 100 },
+  { hoursBefore: 0, refundPercent: 50 }
+];
+
+/**
+ * Refund percentage for a cancellation.
+ * Provider/admin-initiated cancellations are always refunded in full; customer cancellations
+ * get the tier with the largest `hoursBefore` they still meet (0% once the appointment started).
+ */
+function getRefundPercent(business, booking, { by = 'customer', now = new Date() } = {}) {
+  if (by !== 'customer') return 100;
+
+  const tiers = business?.cancellationPolicy?.tiers?.length ? business.cancellationPolicy.tiers : DEFAULT_TIERS;
+  const start = toDateTime(toDayKey(booking.date), booking.time);
+  const hoursLeft = (start.getTime() - now.getTime()) / (60 * 60 * 1000);
+
+  const tier = [...tiers]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find((t) => hoursLeft >= t.hoursBefore);
+
+  return tier ? Math.min(100, Math.max(0, Number(tier.refundPercent))) : 0;
+}
+
+// wallet-paid bookings carry a WALLET_ transaction id (see processBookingPayment)
+function isWalletPayment(booking) {
+  return String(booking.transactionId || '').startsWith('WALLET_');
+}
+
+// one refund entry per booking, so a retried refund never credits twice
+async function creditWallet(customerId, amount, bookingId) {
+  const { entry } = await postWalletEntry({
+    customerId,
+    type: 'credit',
+    amount,
+    kind: 'refund',
+    counterAccount: 'bookings',
+    reference: bookingId,
+    description: 'Booking refund',
+    idempotencyKey: `refund:${bookingId}`
+  });
+  return entry;
+}
+
+/**
+ * Refund a paid booking that has just been cancelled/rejected.
+ * Persists refundInfo and paymentStatus on the booking and returns the updated booking.
+ * Gateway failures are recorded (refundInfo.status = 'failed') rather than thrown, so the
+ * cancellation itself still succeeds and the refund can be retried by an admin.
+ */
+async function refundCancelledBooking(booking, { by = 'customer', reason, now = new Date() } = {}) {
+  if (booking.paymentStatus !== 'paid') return booking;
+  if (['pending', 'processed'].includes(booking.refundInfo?.status)) return booking;
+
+  const business = await Barber.findById(booking.barberId);
+  const percent = getRefundPercent(business, booking, { by, now });
+  const amount = Math.round(Number(booking.totalAmount || 0) * percent) / 100;
+
+  const refundInfo = { amount, percent, reason: reason || `cancelled by ${by}`, createdAt: now };
+  let paymentStatus = booking.paymentStatus;
+
+  if (amount <= 0) {
+    refundInfo.status = 'not_eligible';
+  } else {
+    try {
+      if (isWalletPayment(booking)) {
+        refundInfo.method = 'wallet';
+        const entry = await creditWallet(booking.customerId, amount, String(booking._id));
+        refundInfo.refundId = `WALLET_REFUND_${entry._id}`;
+        refundInfo.status = 'processed';
+      } else {
+        const gateway = getGateway();
+        refundInfo.method = gateway.name;
+        const refund = await gateway.refund(booking.transactionId, {
+          amount,
+          notes: { reason: refundInfo.reason, bookingId: String(booking._id) }
+        });
+        refundInfo.refundId = refund.id;
+        refundInfo.status = refund.status === 'processed' ? 'processed' : 'pending';
+      }
+      paymentStatus = percent >= 100 ? 'refunded' : 'partially_refunded';
+    } catch (err) {
+      console.error('refundCancelledBooking error:', err);
+      refundInfo.status = 'failed';
+      refundInfo.error = err.message || 'Refund failed';
+    }
+  }
+
+  return Booking.findByIdAndUpdate(
+    booking._id,
+    { $set: { refundInfo, paymentStatus } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  getRefundPercent,
+  refundCancelledBooking
+};
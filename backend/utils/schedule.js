@@ -0,0 +1,144 @@
+// backend/utils/schedule.js
+// Provider-edited hours: validation of weekly and date-specific hours (split shifts, breaks), and the
+// upcoming bookings a schedule or catalogue change leaves stranded, returned to the provider as warnings.
+
+const Booking = require('../models/Booking');
+const httpError = require('./httpError');
+const {
+  DEFAULT_DURATION_MINUTES,
+  activeStaff,
+  dayRange,
+  localDayKey,
+  normalizeTime,
+  scheduleFor,
+  toDateTime,
+  toDayKey,
+  toMinutes,
+  workingIntervals
+} = require('./availability');
+
+const WEEK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MAX_SHIFTS = 4;
+const MAX_BREAKS = 4;
+// bookings a provider has already accepted (or that are awaiting acceptance) and must honour
+const UPCOMING_STATUSES = ['pending', 'confirmed'];
+
+function parseTime(value, label) {
+  const time = normalizeTime(value);
+  if (!time) throw httpError(400, `${label} must be a time in HH:mm`);
+  return time;
+}
+
+// [{ a, b }] 'HH:mm' ranges -> validated, sorted, non-overlapping
+function parseRanges(list, [from, to], label, max) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw httpError(400, `${label} must be an array`);
+  if (list.length > max) throw httpError(400, `At most ${max} ${label} per day`);
+
+  const ranges = list
+    .map((r, i) => ({ [from]: parseTime(r?.[from], `${label}[${i}].${from}`), [to]: parseTime(r?.[to], `${label}[${i}].${to}`) }))
+    .sort((x, y) => toMinutes(x[from]) - toMinutes(y[from]));
+
+  ranges.forEach((r, i) => {
+    if (toMinutes(r[to]) <= toMinutes(r[from])) throw httpError(400, `${label}: ${r[from]}–${r[to]} ends before it starts`);
+    if (i && toMinutes(r[from]) < toMinutes(ranges[i - 1][to])) throw httpError(400, `${label} overlap`);
+  });
+  return ranges;
+}
+
+/**
+ * Validate one day's hours from a request body.
+ * @param {Object} input - { isOpen, open, close, shifts: [{ open, close }], breaks: [{ start, end }] }
+ * @param {string} label - for error messages, e.g. 'Monday'
+ * @returns {Object} normalised hours; with shifts, open/close span the first to the last shift
+ * Throws httpError 400.
+ */
+function parseDayHours(input, label) {
+  if (!input || typeof input !== 'object') throw httpError(400, `${label}: hours are required`);
+  if (input.isOpen === false) return { isOpen: false, open: '09:00', close: '18:00', shifts: [], breaks: [] };
+
+  const shifts = parseRanges(input.shifts, ['open', 'close'], `${label} shifts`, MAX_SHIFTS);
+  const open = shifts.length ? shifts[0].open : parseTime(input.open, `${label} open`);
+  const close = shifts.length ? shifts[shifts.length - 1].close : parseTime(input.close, `${label} close`);
+  if (toMinutes(close) <= toMinutes(open)) throw httpError(400, `${label}: close must be after open`);
+
+  const working = shifts.length ? shifts : [{ open, close }];
+  const breaks = parseRanges(input.breaks, ['start', 'end'], `${label} breaks`, MAX_BREAKS);
+  breaks.forEach((b) => {
+    const inside = working.some((s) => toMinutes(b.start) >= toMinutes(s.open) && toMinutes(b.end) <= toMinutes(s.close));
+    if (!inside) throw httpError(400, `${label}: break ${b.start}–${b.end} is outside working hours`);
+  });
+
+  return { isOpen: true, open, close, shifts, breaks };
+}
+
+function parseDate(value) {
+  const dayKey = toDayKey(value);
+  if (!dayKey) throw httpError(400, 'date must be YYYY-MM-DD');
+  return dayKey;
+}
+
+function upcomingQuery(business, { dayKey, now }) {
+  const query = { barberId: business._id, status: { $in: UPCOMING_STATUSES } };
+  query.date = dayKey ? { $gte: dayRange(dayKey).start, $lt: dayRange(dayKey).end } : { $gte: dayRange(localDayKey(now)).start };
+  return query;
+}
+
+function conflictFields(booking, reason) {
+  return {
+    bookingId: booking._id,
+    date: toDayKey(booking.date),
+    time: booking.time,
+    serviceName: booking.serviceName,
+    staffId: booking.staffId,
+    status: booking.status,
+    reason
+  };
+}
+
+/**
+ * Upcoming bookings that no longer fit the (possibly unsaved) schedule of `business`:
+ * outside every shift, on a break, a holiday or a closed day.
+ * @param {Business} business
+ * @param {Object} [options]
+ * @param {string} [options.dayKey] - only check this date (override / holiday changes)
+ * @returns {Promise<Object[]>} warnings, in date order
+ */
+async function findScheduleConflicts(business, { dayKey, now = new Date() } = {}) {
+  const bookings = await Booking.find(upcomingQuery(business, { dayKey, now }))
+    .sort({ date: 1, time: 1 })
+    .select('date time duration staffId serviceName status');
+
+  const staff = activeStaff(business);
+  return bookings
+    .filter((b) => toDateTime(toDayKey(b.date), b.time) > now)
+    .map((b) => {
+      const member = b.staffId ? staff.find((m) => String(m._id) === String(b.staffId)) : null;
+      const { intervals, reason } = workingIntervals(scheduleFor(business, member), toDayKey(b.date));
+      const start = toMinutes(b.time);
+      const end = start + (Number(b.duration) || DEFAULT_DURATION_MINUTES);
+      if (intervals.some((i) => start >= i.start && end <= i.end)) return null;
+      return conflictFields(b, reason || 'outside_working_hours');
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Upcoming bookings that include a service (shown when it is deactivated; the bookings stay valid)
+ */
+async function findServiceBookings(business, serviceId, { now = new Date() } = {}) {
+  const query = upcomingQuery(business, { now });
+  query.$or = [{ serviceId: String(serviceId) }, { 'services.serviceId': String(serviceId) }];
+  const bookings = await Booking.find(query).sort({ date: 1, time: 1 }).select('date time staffId serviceName status');
+  return bookings
+    .filter((b) => toDateTime(toDayKey(b.date), b.time) > now)
+    .map((b) => conflictFields(b, 'service_deactivated'));
+}
+
+module.exports = {
+  WEEK_DAYS,
+  parseDayHours,
+  parseDate,
+  findScheduleConflicts,
+  findServiceBookings
+};
@@ -0,0 +1,245 @@
+// backend/utils/search.js
+// Provider search: one aggregation for "near me" ($geoNear on the 2dsphere index) and plain
+// filtered listings, with distance / rating / price / relevance ordering and pagination.
+// $text cannot run with $geoNear, so text queries use $geoWithin and compute the distance themselves.
+
+const { dayRange, localDayKey } = require('./availability');
+const { expandQuery } = require('./textSearch');
+
+const Barber = require('../models/Business');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 50;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 100;
+const EARTH_RADIUS_KM = 6378.1;
+const SORTS = ['relevance', 'distance', 'rating', 'price'];
+
+// 'a,b' | ['a', 'b'] -> ['a', 'b']
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Mongo conditions for providers open at `now`: holidays, today's date override or else the weekday's
+ * hours, split shifts and breaks ('HH:mm' compares as text). Mirrors availability.workingIntervals.
+ */
+function openNowFilter(now = new Date()) {
+  const day = `schedule.weekDays.${DAY_NAMES[now.getDay()]}`;
+  const hhmm = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  const { start, end } = dayRange(localDayKey(now));
+  const today = { $gte: start, $lt: end };
+
+  // a set of hours (prefix '' inside $elemMatch) covering hhmm: in a shift, or open–close without shifts, and not on a break
+  const openHours = (prefix) => ({
+    $and: [
+      { [`${prefix}isOpen`]: { $ne: false } },
+      { [`${prefix}breaks`]: { $not: { $elemMatch: { start: { $lte: hhmm }, end: { $gt: hhmm } } } } },
+      {
+        $or: [
+          { [`${prefix}shifts`]: { $elemMatch: { open: { $lte: hhmm }, close: { $gt: hhmm } } } },
+          { [`${prefix}shifts.0`]: { $exists: false }, [`${prefix}open`]: { $lte: hhmm }, [`${prefix}close`]: { $gt: hhmm } }
+        ]
+      }
+    ]
+  });
+
+  return {
+    'schedule.holidays': { $not: { $elemMatch: today } },
+    $or: [
+      { 'schedule.overrides': { $elemMatch: { date: today, ...openHours('') } } },
+      { 'schedule.overrides': { $not: { $elemMatch: { date: today } } }, ...openHours(`${day}.`) }
+    ]
+  };
+}
+
+// Aggregation expression: great-circle metres from `near` to the document's location
+function distanceMetersExpr([lng, lat]) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const docLat = { $degreesToRadians: { $arrayElemAt: ['$location.coordinates', 1] } };
+  const docLng = { $degreesToRadians: { $arrayElemAt: ['$location.coordinates', 0] } };
+  const halfDLat = { $divide: [{ $subtract: [docLat, rad(lat)] }, 2] };
+  const halfDLng = { $divide: [{ $subtract: [docLng, rad(lng)] }, 2] };
+  const a = {
+    $add: [
+      { $pow: [{ $sin: halfDLat }, 2] },
+      { $multiply: [Math.cos(rad(lat)), { $cos: docLat }, { $pow: [{ $sin: halfDLng }, 2] }] }
+    ]
+  };
+  return { $multiply: [2 * 6371000, { $asin: { $sqrt: a } }] };
+}
+
+/**
+ * Validate search query params.
+ * @returns {{ error: string } | Object} normalised params
+ */
+function parseSearchParams(query = {}) {
+  const lat = parseNumber(query.lat);
+  const lng = parseNumber(query.lng);
+  if ((lat === null) !== (lng === null)) return { error: 'lat and lng must be given together' };
+  if (lat !== null && (Math.abs(lat) > 90 || Math.abs(lng) > 180)) return { error: 'Invalid lat / lng' };
+
+  const radiusKm = parseNumber(query.radiusKm) ?? DEFAULT_RADIUS_KM;
+  if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) return { error: 'minPrice is above maxPrice' };
+
+  const q = query.q ? String(query.q).trim().slice(0, MAX_QUERY_LENGTH) : '';
+
+  const near = lat !== null ? [lng, lat] : null;
+  const sort = query.sort || (q ? 'relevance' : near ? 'distance' : 'rating');
+  if (!SORTS.includes(sort)) return { error: `sort must be one of ${SORTS.join(', ')}` };
+  if (sort === 'distance' && !near) return { error: 'sort=distance needs lat and lng' };
+  if (sort === 'relevance' && !q) return { error: 'sort=relevance needs q' };
+
+  return {
+    q,
+    near,
+    radiusKm,
+    businessTypes: parseList(query.businessType),
+    categories: parseList(query.category).map((c) => c.toLowerCase()),
+    minPrice,
+    maxPrice,
+    minRating: parseNumber(query.minRating),
+    homeService: query.homeService === 'true' || query.homeService === true,
+    languages: parseList(query.languages).map((l) => l.toLowerCase()),
+    city: query.city ? String(query.city).trim() : null,
+    openNow: query.openNow === 'true' || query.openNow === true,
+    sort,
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || 20))
+  };
+}
+
+/**
+ * Run a provider search.
+ * @param {Object} params - from parseSearchParams
+ * @param {Object} [options]
+ * @param {Object} [options.match] - extra conditions merged into the filter
+ * @returns {Promise<{ total: number, results: Object[], corrections?: Object }>} results are public
+ *          profiles + distanceKm; corrections lists the spellings a misspelt q was matched with
+ */
+async function searchProviders(params, { match = {}, now = new Date() } = {}) {
+  const filter = { isActive: true, isDeleted: { $ne: true }, verificationStatus: 'verified', ...match };
+
+  if (params.businessTypes.length) filter.businessType = { $in: params.businessTypes };
+  if (params.minRating !== null) filter.rating = { $gte: params.minRating };
+  if (params.homeService) filter.homeServiceAvailable = true;
+  if (params.languages.length) filter.languages = { $in: params.languages };
+  if (params.city) filter.city = new RegExp(`^${params.city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  if (params.openNow) Object.assign(filter, openNowFilter(now));
+
+  // category and price apply to the same active service
+  const serviceMatch = { isActive: true };
+  if (params.categories.length) serviceMatch.category = { $in: params.categories };
+  if (params.minPrice !== null || params.maxPrice !== null) {
+    serviceMatch.price = {};
+    if (params.minPrice !== null) serviceMatch.price.$gte = params.minPrice;
+    if (params.maxPrice !== null) serviceMatch.price.$lte = params.maxPrice;
+  }
+  if (Object.keys(serviceMatch).length > 1) filter.services = { $elemMatch: serviceMatch };
+
+  const pipeline = [];
+  let corrections;
+  const expanded = params.q ? await expandQuery(params.q) : null;
+
+  if (expanded && !expanded.terms.length) return { total: 0, results: [], corrections: {} };
+
+  if (expanded) {
+    corrections = expanded.corrections;
+    const textMatch = { ...filter, $text: { $search: expanded.terms.join(' ') } };
+    if (params.near) {
+      textMatch.location = { $geoWithin: { $centerSphere: [params.near, params.radiusKm / EARTH_RADIUS_KM] } };
+    }
+    pipeline.push({ $match: textMatch }, { $addFields: { score: { $meta: 'textScore' } } });
+    if (params.near) pipeline.push({ $addFields: { distanceMeters: distanceMetersExpr(params.near) } });
+  } else if (params.near) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: params.near },
+        distanceField: 'distanceMeters',
+        maxDistance: params.radiusKm * 1000,
+        spherical: true,
+        query: filter
+      }
+    });
+  } else {
+    pipeline.push({ $match: filter });
+  }
+
+  // cheapest matching service (same category / price filters as above), for price ordering
+  const priceConds = [];
+  if (params.minPrice !== null) priceConds.push({ $gte: ['$$s.price', params.minPrice] });
+  if (params.maxPrice !== null) priceConds.push({ $lte: ['$$s.price', params.maxPrice] });
+  pipeline.push({
+    $addFields: {
+      fromPrice: {
+        $min: {
+          $map: {
+            input: {
+              $filter: {
+                input: '$services',
+                as: 's',
+                cond: {
+                  $and: [
+                    { $ne: ['$$s.isActive', false] },
+                    params.categories.length ? { $in: ['$$s.category', params.categories] } : true,
+                    ...priceConds
+                  ]
+                }
+              }
+            },
+            as: 's',
+            in: '$$s.price'
+          }
+        }
+      }
+    }
+  });
+  // providers without a priced service sort after every priced one
+  pipeline.push({ $addFields: { noPrice: { $eq: [{ $ifNull: ['$fromPrice', null] }, null] } } });
+
+  const sortStage = {
+    relevance: { score: -1, rating: -1, _id: 1 },
+    distance: { distanceMeters: 1, rating: -1 },
+    rating: { rating: -1, reviewCount: -1, _id: 1 },
+    price: { noPrice: 1, fromPrice: 1, rating: -1, _id: 1 }
+  }[params.sort];
+
+  pipeline.push(
+    { $sort: sortStage },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        page: [{ $skip: (params.page - 1) * params.limit }, { $limit: params.limit }]
+      }
+    }
+  );
+
+  const [{ total, page }] = await Barber.aggregate(pipeline);
+
+  const results = page.map((doc) => ({
+    ...Barber.hydrate(doc).getPublicProfile(),
+    fromPrice: doc.fromPrice ?? null,
+    distanceKm: doc.distanceMeters !== undefined ? Math.round(doc.distanceMeters / 100) / 10 : null
+  }));
+
+  return { total: total[0]?.count || 0, results, corrections };
+}
+
+module.exports = {
+  parseList,
+  parseSearchParams,
+  openNowFilter,
+  searchProviders
+};
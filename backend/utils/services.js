@@ -0,0 +1,36 @@
+// backend/utils/services.js
+// Lookups over a provider's embedded service catalogue (Business.services)
+
+// find an active service inside barber.services
+function findService(barber, serviceId) {
+  return (barber.services || []).find((s) => {
+    if (!s || s.isActive === false) return false;
+    // s._id might be ObjectId or string
+    return s._id?.toString() === serviceId?.toString() || String(s._id) === String(serviceId);
+  });
+}
+
+// accept serviceIds as an array or comma-separated string, falling back to a single serviceId
+function parseServiceIds(serviceIds, serviceId) {
+  const list = Array.isArray(serviceIds) ? serviceIds : String(serviceIds || '').split(',');
+  const ids = list.map((id) => String(id).trim()).filter(Boolean);
+  if (!ids.length && serviceId) ids.push(String(serviceId));
+  return ids;
+}
+
+// resolve an ordered list of service ids into one appointment (null if any is missing/inactive)
+function resolveServices(barber, serviceIds) {
+  const services = serviceIds.map((id) => findService(barber, id));
+  if (!services.length || services.some((s) => !s)) return null;
+  return {
+    services,
+    duration: services.reduce((sum, s) => sum + Number(s.duration || 0), 0),
+    price: services.reduce((sum, s) => sum + Number(s.price || 0), 0)
+  };
+}
+
+module.exports = {
+  findService,
+  parseServiceIds,
+  resolveServices
+};
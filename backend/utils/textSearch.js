@@ -0,0 +1,159 @@
+// backend/utils/textSearch.js
+// Typo-tolerant text search on top of the Business text index. MongoDB $text only matches whole
+// (stemmed) words, so each query word is first expanded against a vocabulary of words used in
+// provider names, tags and services: close misspellings ("keratn") and, for the word being typed,
+// prefixes ("kera") become real terms before the $text query runs.
+
+const Barber = require('../models/Business');
+
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+const MIN_WORD_LENGTH = 2;
+const MAX_EXPANSIONS_PER_WORD = 5;
+
+let vocabularyCache = { at: 0, words: [], phrases: [] };
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= MIN_WORD_LENGTH);
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// typos allowed for a word of this length
+function allowedTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Words and display phrases (service names, shop names, tags, categories) of active, verified providers, cached
+ */
+async function getVocabulary({ now = Date.now() } = {}) {
+  if (now - vocabularyCache.at < VOCABULARY_TTL_MS) return vocabularyCache;
+
+  const active = { isActive: true, isDeleted: { $ne: true }, verificationStatus: 'verified' };
+  const [serviceNames, categories, tags, businessNames, names] = await Promise.all([
+    Barber.distinct('services.name', active),
+    Barber.distinct('services.category', active),
+    Barber.distinct('tags', active),
+    Barber.distinct('businessName', active),
+    Barber.distinct('name', active)
+  ]);
+
+  const phrases = [
+    ...serviceNames.map((text) => ({ text, type: 'service' })),
+    ...categories.map((text) => ({ text, type: 'category' })),
+    ...tags.map((text) => ({ text, type: 'tag' })),
+    ...businessNames.map((text) => ({ text, type: 'provider' }))
+  ].filter((p) => p.text);
+
+  const words = [...new Set([...phrases.map((p) => p.text), ...names].flatMap(tokenize))];
+  vocabularyCache = { at: now, words, phrases };
+  return vocabularyCache;
+}
+
+/**
+ * Expand a query into the terms to hand to $text: each word plus its close spellings, and
+ * completions of the last word (autocomplete while typing).
+ * @returns {Promise<{ terms: string[], corrections: Object }>} corrections: word -> [suggested words]
+ */
+async function expandQuery(q) {
+  const words = tokenize(q);
+  if (!words.length) return { terms: [], corrections: {} };
+
+  const { words: vocabulary } = await getVocabulary();
+  const terms = new Set(words);
+  const corrections = {};
+
+  words.forEach((word, index) => {
+    const isLast = index === words.length - 1;
+    const max = allowedTypos(word);
+    const matches = [];
+
+    for (const candidate of vocabulary) {
+      if (candidate === word) continue;
+      if (isLast && candidate.startsWith(word)) matches.push({ candidate, distance: 0 });
+      else if (max) {
+        const distance = editDistance(word, candidate, max);
+        if (distance <= max) matches.push({ candidate, distance });
+      }
+    }
+
+    const best = matches
+      .sort((a, b) => a.distance - b.distance || a.candidate.length - b.candidate.length)
+      .slice(0, MAX_EXPANSIONS_PER_WORD)
+      .map((m) => m.candidate);
+
+    best.forEach((term) => terms.add(term));
+    if (best.length && !vocabulary.includes(word)) corrections[word] = best;
+  });
+
+  return { terms: [...terms], corrections };
+}
+
+/**
+ * Autocomplete suggestions: phrases whose words start with (or nearly match) what was typed
+ * @returns {Promise<Array<{ text: string, type: string }>>}
+ */
+async function suggest(q, { limit = 10 } = {}) {
+  const words = tokenize(q);
+  if (!words.length) return [];
+
+  const { phrases } = await getVocabulary();
+  const last = words[words.length - 1];
+  const leading = words.slice(0, -1);
+
+  const scored = [];
+  for (const phrase of phrases) {
+    const phraseWords = tokenize(phrase.text);
+    // every earlier word must appear (allowing typos); the last one may be a prefix
+    const leadingOk = leading.every((w) =>
+      phraseWords.some((pw) => pw === w || editDistance(w, pw, allowedTypos(w)) <= allowedTypos(w))
+    );
+    if (!leadingOk) continue;
+
+    if (phraseWords.some((pw) => pw.startsWith(last))) scored.push({ ...phrase, score: 0 });
+    else if (phraseWords.some((pw) => editDistance(last, pw.slice(0, last.length), allowedTypos(last)) <= allowedTypos(last))) {
+      scored.push({ ...phrase, score: 1 });
+    }
+  }
+
+  const seen = new Set();
+  return scored
+    .sort((a, b) => a.score - b.score || a.text.length - b.text.length)
+    .filter((p) => {
+      const key = `${p.type}:${p.text.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ text, type }) => ({ text, type }));
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  expandQuery,
+  suggest
+};
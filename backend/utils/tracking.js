@@ -0,0 +1,81 @@
+// backend/utils/tracking.js
+// Live location sharing for home-service bookings: while a booking is en-route the provider app
+// streams its position and the customer's booking room gets distance + ETA. Sharing stops on
+// arrival (provider within ARRIVAL_RADIUS_KM) or when the booking moves on.
+
+const Booking = require('../models/Booking');
+const { distanceKm, pointOf } = require('./geo');
+
+const Barber = require('../models/Business');
+
+const ARRIVAL_RADIUS_KM = Number(process.env.ARRIVAL_RADIUS_KM) || 0.1;
+
+/**
+ * Record a provider position for an en-route booking and push distance / ETA to the booking room.
+ * @param {Object} io - socket.io server
+ * @param {Object} data - { bookingId, barberId, coordinates: [lng, lat] }
+ * @returns {Promise<Object|null>} the booking's tracking state, or null if the update was ignored
+ */
+async function recordProviderLocation(io, { bookingId, barberId, coordinates } = {}, { now = new Date() } = {}) {
+  const point = pointOf({ coordinates });
+  if (!bookingId || !barberId || !point) return null;
+
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    barberId,
+    status: 'en-route',
+    'tracking.status': 'sharing'
+  }).select('location');
+  if (!booking) return null;
+
+  const destination = pointOf(booking.location);
+  const business = await Barber.findById(barberId).select('homeServiceSpeedKmph');
+  const speed = Number(business?.homeServiceSpeedKmph) || 20;
+
+  const km = destination ? Math.round(distanceKm(point, destination) * 100) / 100 : null;
+  const arrived = km !== null && km <= ARRIVAL_RADIUS_KM;
+  const etaMinutes = km === null ? null : arrived ? 0 : Math.ceil((km / speed) * 60);
+
+  const update = {
+    'tracking.lastLocation': { type: 'Point', coordinates: point },
+    'tracking.lastUpdateAt': now,
+    'tracking.distanceKm': km,
+    'tracking.etaMinutes': etaMinutes
+  };
+  if (arrived) {
+    update['tracking.status'] = 'arrived';
+    update['tracking.arrivedAt'] = now;
+  }
+
+  // conditional, so a position arriving after sharing stopped is dropped
+  const updated = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'tracking.status': 'sharing' },
+    { $set: update },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const room = io?.to(`booking-${updated._id}`);
+  room?.emit('provider-location', { bookingId: updated._id, coordinates: point, distanceKm: km, etaMinutes, at: now });
+  if (arrived) room?.emit('tracking-stopped', { bookingId: updated._id, reason: 'arrived' });
+
+  return updated.tracking;
+}
+
+/**
+ * Stop sharing for a booking (service started, completed, cancelled, ...) if it still is
+ */
+async function stopTracking(io, booking, reason) {
+  const stopped = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'tracking.status': 'sharing' },
+    { $set: { 'tracking.status': 'stopped', 'tracking.stoppedAt': new Date() } }
+  );
+  if (stopped) io?.to(`booking-${booking._id}`).emit('tracking-stopped', { bookingId: booking._id, reason });
+  return Boolean(stopped);
+}
+
+module.exports = {
+  ARRIVAL_RADIUS_KM,
+  recordProviderLocation,
+  stopTracking
+};
@@ -0,0 +1,160 @@
+// backend/utils/waitlist.js
+// Waitlist offers: when a slot frees up it is held for the first matching waitlisted customer
+// for a limited time, then passed on to the next one if they do not take it.
+
+const mongoose = require('mongoose');
+const SlotReservation = require('../models/SlotReservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getAvailability, localDayKey, toDayKey, toMinutes } = require('./availability');
+
+const Barber = require('../models/Business');
+
+const OFFER_HOLD_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 15;
+const STALE_ACCEPT_MS = 10 * 60 * 1000; // an accept still unfinished this long after expiry was abandoned
+
+function matchesPreferredTimes(entry, time) {
+  if (!entry.preferredTimes?.length) return true;
+  const minute = toMinutes(time);
+  return entry.preferredTimes.some((w) => minute >= toMinutes(w.from) && minute <= toMinutes(w.to));
+}
+
+/**
+ * Offer a freed slot to the first waitlisted customer it suits, holding it for OFFER_HOLD_MINUTES.
+ * @param {Object} slot - { barberId, date, time, staffId }
+ * @returns {Promise<WaitlistEntry|null>} the entry that received the offer, if any
+ */
+async function offerFreedSlot(slot, { io, now = new Date() } = {}) {
+  const dayKey = toDayKey(slot.date);
+  const slotKey = `${dayKey} ${slot.time}`;
+  const day = new Date(dayKey);
+
+  const business = await Barber.findById(slot.barberId);
+  if (!business) return null;
+
+  const candidates = await WaitlistEntry.find({
+    barberId: slot.barberId,
+    status: 'active',
+    dateFrom: { $lte: day },
+    dateTo: { $gte: day },
+    offeredSlots: { $ne: slotKey }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of candidates) {
+    if (!matchesPreferredTimes(entry, slot.time)) continue;
+    if (entry.staffId && slot.staffId && String(entry.staffId) !== String(slot.staffId)) continue;
+
+    // the waitlisted services may take longer than the booking that was freed
+    const availability = await getAvailability(business, dayKey, entry.duration, {
+      now,
+      staffId: slot.staffId || entry.staffId || undefined,
+      serviceIds: entry.serviceIds
+    });
+    if (!availability.slots.includes(slot.time)) continue;
+
+    const staffId = availability.staff
+      ? availability.staff.find((m) => m.slots.includes(slot.time))?.staffId
+      : null;
+    const holdId = new mongoose.Types.ObjectId();
+
+    const held = await SlotReservation.reserve({
+      barberId: slot.barberId,
+      staffId,
+      date: dayKey,
+      time: slot.time,
+      duration: entry.duration,
+      bookingId: holdId
+    });
+    // a longer entry may not fit where a shorter one would (or the slot was just booked): try the next one
+    if (!held) continue;
+
+    const offer = {
+      date: day,
+      time: slot.time,
+      staffId: staffId || undefined,
+      holdId,
+      offeredAt: now,
+      expiresAt: new Date(now.getTime() + OFFER_HOLD_MINUTES * 60 * 1000)
+    };
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'active' },
+      { $set: { status: 'offered', offer }, $push: { offeredSlots: slotKey } },
+      { new: true }
+    );
+
+    if (!offered) {
+      await SlotReservation.release(holdId);
+      continue;
+    }
+
+    io?.to(`customer-${offered.customerId}`).emit('waitlist-offer', {
+      entryId: offered._id,
+      barberId: offered.barberId,
+      date: dayKey,
+      time: offer.time,
+      expiresAt: offer.expiresAt
+    });
+
+    return offered;
+  }
+
+  return null;
+}
+
+/**
+ * Take back an open offer (declined, expired or cancelled), release its hold and
+ * pass the slot on to the next waitlisted customer.
+ * @param {WaitlistEntry} entry
+ * @param {string} nextStatus - status for this entry afterwards ('active' | 'expired' | 'cancelled')
+ */
+async function withdrawOffer(entry, nextStatus, { io, now = new Date() } = {}) {
+  const previous = await WaitlistEntry.findOneAndUpdate(
+    {
+      _id: entry._id,
+      status: entry.status === 'accepting' ? 'accepting' : 'offered',
+      'offer.holdId': entry.offer.holdId
+    },
+    { $set: { status: nextStatus }, $unset: { offer: 1 } }
+  );
+  if (!previous) return false;
+
+  await SlotReservation.release(previous.offer.holdId);
+  await offerFreedSlot(
+    {
+      barberId: previous.barberId,
+      date: previous.offer.date,
+      time: previous.offer.time,
+      staffId: previous.offer.staffId
+    },
+    { io, now }
+  );
+  return true;
+}
+
+/**
+ * Background sweep: expire lapsed offers (moving them on) and close entries whose range has passed
+ */
+async function expireWaitlistOffers({ io, now = new Date() } = {}) {
+  const today = new Date(localDayKey(now));
+
+  // an accept that never finished (process stopped mid-way) is withdrawn once well past its expiry
+  const lapsed = await WaitlistEntry.find({
+    $or: [
+      { status: 'offered', 'offer.expiresAt': { $lte: now } },
+      { status: 'accepting', 'offer.expiresAt': { $lte: new Date(now.getTime() - STALE_ACCEPT_MS) } }
+    ]
+  });
+  for (const entry of lapsed) {
+    const nextStatus = entry.dateTo < today ? 'expired' : 'active';
+    await withdrawOffer(entry, nextStatus, { io, now });
+  }
+
+  await WaitlistEntry.updateMany({ status: 'active', dateTo: { $lt: today } }, { $set: { status: 'expired' } });
+}
+
+module.exports = {
+  OFFER_HOLD_MINUTES,
+  offerFreedSlot,
+  withdrawOffer,
+  expireWaitlistOffers
+};
@@ -0,0 +1,223 @@
+// backend/utils/wallet.js
+// Customer wallet ledger. Every balance change is a conditional atomic update of Customer.wallet.balance plus a
+// WalletEntry written in the same transaction, so two concurrent debits cannot overspend and a retried
+// request (same idempotency key) never posts twice. Balances can be rebuilt from the ledger at any time.
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const WalletEntry = require('../models/WalletEntry');
+const httpError = require('./httpError');
+
+const TOLERANCE = 0.005; // half a paisa
+const OPENING_RETRIES = 3;
+
+// rupees rounded to paise
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+function isDuplicateKey(err, key) {
+  return err?.code === 11000 && (!key || err.keyValue?.idempotencyKey === key);
+}
+
+// Balances that predate the ledger are carried in as one opening entry before the first posting
+async function ensureOpeningBalance(customerId, session) {
+  if (await WalletEntry.exists({ customerId }).session(session)) return;
+
+  const customer = await Customer.findById(customerId).select('wallet.balance').session(session);
+  if (!customer) throw httpError(404, 'Customer not found');
+  const balance = toPaise(customer.wallet?.balance || 0);
+  if (balance <= 0) return;
+
+  await WalletEntry.create(
+    [
+      {
+        customerId,
+        type: 'credit',
+        amount: balance,
+        balanceAfter: balance,
+        kind: 'opening_balance',
+        counterAccount: 'legacy',
+        description: 'Balance before the wallet ledger',
+        idempotencyKey: `opening:${customerId}`
+      }
+    ],
+    { session }
+  );
+}
+
+async function post(entry, session) {
+  await ensureOpeningBalance(entry.customerId, session);
+
+  const delta = entry.type === 'credit' ? entry.amount : -entry.amount;
+  const filter = { _id: entry.customerId };
+  if (entry.type === 'debit') filter['wallet.balance'] = { $gte: entry.amount };
+
+  // pipeline update: add and round to paise in one atomic step, so floating-point drift never builds up
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    [
+      {
+        $set: {
+          'wallet.balance': { $round: [{ $add: [{ $ifNull: ['$wallet.balance', 0] }, delta] }, 2] },
+          updatedAt: '$$NOW'
+        }
+      }
+    ],
+    { new: true, session }
+  ).select('wallet.balance');
+
+  if (!customer) {
+    const current = await Customer.findById(entry.customerId).select('wallet.balance').session(session);
+    if (!current) throw httpError(404, 'Customer not found');
+    throw httpError(400, 'Insufficient wallet balance', { balance: toPaise(current.wallet?.balance || 0) });
+  }
+
+  const [created] = await WalletEntry.create([{ ...entry, balanceAfter: toPaise(customer.wallet.balance) }], { session });
+  return created;
+}
+
+/**
+ * Credit or debit a customer's wallet.
+ * @param {Object} params
+ * @param {string} params.customerId
+ * @param {'credit'|'debit'} params.type
+ * @param {number} params.amount - ₹, > 0
+ * @param {string} params.kind - 'top_up' | 'booking_payment' | 'refund' | 'adjustment'
+ * @param {string} params.counterAccount - 'gateway' | 'bookings' | 'platform'
+ * @param {string} params.idempotencyKey - e.g. `top_up:<paymentId>`; reusing it returns the first entry
+ * @param {string} [params.reference]
+ * @param {string} [params.description]
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - run inside the caller's transaction (the caller commits)
+ * @returns {Promise<{ entry: WalletEntry, duplicate: boolean }>}
+ * Throws httpError 400 (invalid amount / insufficient balance, with { balance }), 404, or 409 when a
+ * concurrent posting aborted the caller's transaction.
+ */
+async function postWalletEntry(params, { session } = {}) {
+  const amount = toPaise(params.amount);
+  if (!['credit', 'debit'].includes(params.type)) throw httpError(400, 'type must be credit or debit');
+  if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, 'Invalid amount');
+  if (!params.idempotencyKey) throw httpError(400, 'idempotencyKey is required');
+
+  const entry = {
+    customerId: params.customerId,
+    type: params.type,
+    amount,
+    kind: params.kind,
+    counterAccount: params.counterAccount,
+    reference: params.reference,
+    description: params.description,
+    idempotencyKey: params.idempotencyKey
+  };
+
+  const existing = await WalletEntry.findOne({ idempotencyKey: entry.idempotencyKey }).session(session || null);
+  if (existing) return { entry: existing, duplicate: true };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      if (session) return { entry: await post(entry, session), duplicate: false };
+
+      const own = await mongoose.startSession();
+      try {
+        let created;
+        await own.withTransaction(async () => {
+          created = await post(entry, own);
+        });
+        return { entry: created, duplicate: false };
+      } finally {
+        await own.endSession();
+      }
+    } catch (err) {
+      // two first postings raced to carry the legacy balance in: the other one did, so post again
+      if (isDuplicateKey(err, `opening:${entry.customerId}`)) {
+        if (!session && attempt < OPENING_RETRIES) continue;
+        throw httpError(409, 'The wallet was updated concurrently, please retry');
+      }
+      // a concurrent request with the same key won; its transaction rolled ours back
+      if (!isDuplicateKey(err, entry.idempotencyKey)) throw err;
+      // the caller's transaction is aborted with it; a retry will find the entry as a duplicate
+      if (session) throw httpError(409, 'This wallet posting was already made', { idempotencyKey: entry.idempotencyKey });
+      const winner = await WalletEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+      return { entry: winner, duplicate: true };
+    }
+  }
+}
+
+/**
+ * Ledger entries of a customer, newest first
+ * @returns {Promise<{ total: number, entries: WalletEntry[] }>}
+ */
+async function listWalletEntries(customerId, { page = 1, limit = 20 } = {}) {
+  const [total, entries] = await Promise.all([
+    WalletEntry.countDocuments({ customerId }),
+    WalletEntry.find({ customerId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+  return { total, entries };
+}
+
+/**
+ * Recompute wallet balances from the ledger and compare them with Customer.wallet.balance.
+ * @param {Object} [options]
+ * @param {string} [options.customerId] - check one customer (always returned, consistent or not)
+ * @param {number} [options.limit] - max mismatches to return when checking everyone
+ * @returns {Promise<Object[]>} { customerId, balance, ledgerBalance, lastBalanceAfter, entries, difference, consistent }
+ */
+async function reconcileWallets({ customerId, limit = 100 } = {}) {
+  const match = customerId ? { _id: new mongoose.Types.ObjectId(String(customerId)) } : {};
+  const rows = await Customer.aggregate([
+    { $match: match },
+    { $project: { balance: { $ifNull: ['$wallet.balance', 0] } } },
+    {
+      $lookup: {
+        from: WalletEntry.collection.name,
+        let: { customerId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$customerId', '$$customerId'] } } },
+          { $sort: { createdAt: 1, _id: 1 } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } },
+              lastBalanceAfter: { $last: '$balanceAfter' },
+              entries: { $sum: 1 }
+            }
+          }
+        ],
+        as: 'ledger'
+      }
+    },
+    { $unwind: { path: '$ledger', preserveNullAndEmptyArrays: true } }
+  ]);
+
+  const results = rows.map((row) => {
+    const balance = toPaise(row.balance);
+    const ledgerBalance = toPaise(row.ledger?.total || 0);
+    const lastBalanceAfter = row.ledger ? toPaise(row.ledger.lastBalanceAfter) : null;
+    const difference = toPaise(balance - ledgerBalance);
+    return {
+      customerId: row._id,
+      balance,
+      ledgerBalance,
+      lastBalanceAfter,
+      entries: row.ledger?.entries || 0,
+      difference,
+      // customers untouched since the ledger started have no entries yet; their opening entry comes with the first posting
+      consistent:
+        row.ledger
+          ? Math.abs(difference) < TOLERANCE && Math.abs(lastBalanceAfter - balance) < TOLERANCE
+          : true
+    };
+  });
+
+  return customerId ? results : results.filter((r) => !r.consistent).slice(0, limit);
+}
+
+module.exports = {
+  postWalletEntry,
+  listWalletEntries,
+  reconcileWallets
+};
@@ -1,15 +1,77 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import axios from "axios";
 
 const BookingModal = ({ barber, service, onClose, customerId }) => {
+  const [selectedServices, setSelectedServices] = useState(service ? [service] : []);
+  const [serviceToAdd, setServiceToAdd] = useState("");
   const [date, setDate] = useState("");
   const [time, setTime] = useState("");
   const [locationType, setLocationType] = useState("shop");
   const [address, setAddress] = useState("");
+  const [coordinates, setCoordinates] = useState(null); // [lng, lat]
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [savedAddressId, setSavedAddressId] = useState("");
   const [paymentMethod, setPaymentMethod] = useState("upi");
   const [loading, setLoading] = useState(false);
 
+  const activeServices = (barber.services || []).filter((s) => s.isActive !== false);
+  const totalPrice = selectedServices.reduce((sum, s) => sum + Number(s.price || 0), 0);
+  const totalDuration = selectedServices.reduce((sum, s) => sum + Number(s.duration || 0), 0);
+
+  // saved addresses for home service; the primary one is pre-filled
+  useEffect(() => {
+    if (locationType !== "home" || !customerId) return;
+    axios
+      .get(`${process.env.REACT_APP_API_URL}/api/customer/${customerId}/addresses`)
+      .then((res) => {
+        const list = res.data.addresses || [];
+        setSavedAddresses(list);
+        const primary = list.find((a) => a.isPrimary);
+        if (primary && !address) pickSavedAddress(primary._id, list);
+      })
+      .catch((err) => console.error("Saved addresses error:", err));
+  }, [locationType, customerId]);
+
+  const pickSavedAddress = (id, list = savedAddresses) => {
+    setSavedAddressId(id);
+    const saved = list.find((a) => a._id === id);
+    if (!saved) {
+      setAddress("");
+      setCoordinates(null);
+      return;
+    }
+    setAddress([saved.address, saved.landmark, saved.city, saved.pincode].filter(Boolean).join(", "));
+    setCoordinates(saved.lat != null && saved.lng != null ? [saved.lng, saved.lat] : null);
+  };
+
+  const addService = () => {
+    const next = activeServices.find((s) => s._id === serviceToAdd);
+    if (!next) return;
+    setSelectedServices([...selectedServices, next]);
+    setServiceToAdd("");
+  };
+
+  const removeService = (index) => {
+    setSelectedServices(selectedServices.filter((_, i) => i !== index));
+  };
+
+  const useCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      alert("Location is not available on this device");
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => setCoordinates([pos.coords.longitude, pos.coords.latitude]),
+      () => alert("Unable to get your location")
+    );
+  };
+
   const handleBooking = async () => {
+    if (selectedServices.length === 0) {
+      alert("Please add at least one service");
+      return;
+    }
+
     if (!date || !time) {
       alert("Please select date & time");
       return;
@@ -20,15 +82,21 @@ const BookingModal = ({ barber, service, onClose, customerId }) => {
       return;
     }
 
+    if (locationType === "home" && !coordinates) {
+      alert("Please share your location for home service");
+      return;
+    }
+
     const payload = {
       customerId,
       barberId: barber._id,
-      serviceId: service._id,
+      serviceIds: selectedServices.map((s) => s._id),
       date,
       time,
       location: {
         type: locationType,
         address: address || "Salon Shop",
+        ...(locationType === "home" && { coordinates: { type: "Point", coordinates } }),
       },
       paymentMethod,
     };
@@ -46,7 +114,7 @@ const BookingModal = ({ barber, service, onClose, customerId }) => {
     } catch (error) {
       console.error("Booking Error:", error);
       setLoading(false);
-      alert("Booking Failed");
+      alert(error.response?.data?.error || "Booking Failed");
     }
   };
 
@@ -58,13 +126,38 @@ const BookingModal = ({ barber, service, onClose, customerId }) => {
         {/* Barber + Service Info */}
         <div className="info-box">
           <p><strong>Barber:</strong> {barber.shopName}</p>
-          <p><strong>Service:</strong> {service.name}</p>
-          <p><strong>Price:</strong> ₹{service.price}</p>
+          {selectedServices.map((s, i) => (
+            <div key={`${s._id}-${i}`} className="service-line">
+              <span>{s.name} • {s.duration} min • ₹{s.price}</span>
+              <button className="remove-btn" onClick={() => removeService(i)}>✕</button>
+            </div>
+          ))}
+          <p><strong>Total:</strong> ₹{totalPrice} ({totalDuration} min)</p>
           {locationType === "home" && (
-            <p><strong>Home Service Fee:</strong> ₹{barber.homeServiceFee}</p>
+            <p>
+              <strong>Home Service Fee:</strong>{" "}
+              {barber.homeServiceFeeTiers?.length
+                ? `₹${barber.homeServiceFeeTiers.map((t) => `${t.fee} up to ${t.uptoKm} km`).join(", ₹")}`
+                : `₹${barber.homeServiceFee}`}
+              {barber.homeServiceRadiusKm && ` (within ${barber.homeServiceRadiusKm} km)`}
+            </p>
           )}
         </div>
 
+        {/* Add another service */}
+        <label>Add Service</label>
+        <div className="add-row">
+          <select value={serviceToAdd} onChange={(e) => setServiceToAdd(e.target.value)}>
+            <option value="">Select a service…</option>
+            {activeServices.map((s) => (
+              <option key={s._id} value={s._id}>
+                {s.name} (₹{s.price})
+              </option>
+            ))}
+          </select>
+          <button className="add-btn" disabled={!serviceToAdd} onClick={addService}>Add</button>
+        </div>
+
         {/* Date */}
         <label>Date</label>
         <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
@@ -86,12 +179,31 @@ const BookingModal = ({ barber, service, onClose, customerId }) => {
         {/* Address */}
         {locationType === "home" && (
           <>
+            {savedAddresses.length > 0 && (
+              <>
+                <label>Saved Address</label>
+                <select value={savedAddressId} onChange={(e) => pickSavedAddress(e.target.value)}>
+                  <option value="">Enter a new address…</option>
+                  {savedAddresses.map((a) => (
+                    <option key={a._id} value={a._id}>
+                      {a.label ? `${a.label} – ` : ""}{a.address}{a.isPrimary ? " (primary)" : ""}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
             <label>Home Address</label>
             <textarea
               placeholder="Enter full address…"
               value={address}
-              onChange={(e) => setAddress(e.target.value)}
+              onChange={(e) => {
+                setAddress(e.target.value);
+                setSavedAddressId("");
+              }}
             />
+            <button type="button" className="add-btn" onClick={useCurrentLocation}>
+              {coordinates ? "Location captured ✓" : "Use my current location"}
+            </button>
           </>
         )}
 
@@ -158,6 +270,31 @@ const BookingModal = ({ barber, service, onClose, customerId }) => {
           border-radius: 8px;
           margin-bottom: 15px;
         }
+        .service-line {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin: 4px 0;
+        }
+        .remove-btn {
+          background: none;
+          border: none;
+          color: #b30000;
+          cursor: pointer;
+        }
+        .add-row {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+        }
+        .add-btn {
+          background: #1976d2;
+          color: white;
+          padding: 10px 15px;
+          margin-top: 5px;
+          border: none;
+          border-radius: 8px;
+        }
         .button-row {
           display: flex;
           justify-content: space-between;
@@ -2,10 +2,14 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 
+// statuses after which a booking is no longer actionable
+const CLOSED_STATUSES = ['completed', 'cancelled', 'rejected', 'no-show'];
+
 /**
  * Customer Dashboard
  * - Shows upcoming bookings, recent past bookings
  * - Shows wallet balance and loyalty points
+ * - "Recommended for you": providers ranked from past bookings, preferences and bookmarks
  * - Quick actions: Book a service, Go to Wallet, View Bookings
  *
  * Expects: REACT_APP_API_URL in env, and customerId stored in localStorage/session (adjust as needed)
@@ -18,6 +22,7 @@ const CustomerDashboard = () => {
   const [wallet, setWallet] = useState({ balance: 0 });
   const [loyaltyPoints, setLoyaltyPoints] = useState(0);
   const [bookmarks, setBookmarks] = useState([]);
+  const [recommended, setRecommended] = useState([]);
   const customerId = localStorage.getItem('customerId'); // adapt if you have auth context
 
   const API = process.env.REACT_APP_API_URL || '';
@@ -28,6 +33,7 @@ const CustomerDashboard = () => {
       return;
     }
     fetchDashboard();
+    fetchRecommendations();
   }, [customerId]);
 
   async function fetchDashboard() {
@@ -44,10 +50,10 @@ const CustomerDashboard = () => {
       // split upcoming vs past by status / date
       const now = new Date();
       const upcomingList = bookings.filter(b => {
-        return b.status !== 'completed' && b.status !== 'cancelled' && new Date(b.date) >= now;
+        return !CLOSED_STATUSES.includes(b.status) && new Date(b.date) >= now;
       }).sort((a,b) => new Date(a.date) - new Date(b.date));
       const pastList = bookings.filter(b => {
-        return b.status === 'completed' || new Date(b.date) < now;
+        return CLOSED_STATUSES.includes(b.status) || new Date(b.date) < now;
       }).sort((a,b) => new Date(b.date) < new Date(a.date) ? -1 : 1);
 
       setUpcoming(upcomingList.slice(0, 6));
@@ -69,15 +75,36 @@ const CustomerDashboard = () => {
     }
   }
 
+  // separate from fetchDashboard so a slow or failed ranking never blocks the dashboard
+  async function fetchRecommendations() {
+    try {
+      const res = await axios.get(`${API}/api/customer/recommendations?customerId=${customerId}&limit=6`);
+      setRecommended(res.data.results || []);
+    } catch (err) {
+      console.error('Recommendations fetch error', err);
+    }
+  }
+
   const handleCancel = async (bookingId) => {
     if (!window.confirm('Cancel this booking?')) return;
     try {
-      await axios.delete(`${API}/api/customer/bookings/${bookingId}`);
+      await axios.patch(`${API}/api/booking/${bookingId}/cancel`);
       // optimistic UI update
       setUpcoming(prev => prev.filter(b => b._id !== bookingId));
     } catch (err) {
       console.error('Cancel error', err);
-      alert('Unable to cancel booking');
+      alert(err.response?.data?.error || 'Unable to cancel booking');
+    }
+  };
+
+  const handleCancelSeries = async (seriesId) => {
+    if (!window.confirm('Cancel all upcoming appointments in this recurring series?')) return;
+    try {
+      await axios.delete(`${API}/api/booking/recurring/${seriesId}`);
+      fetchDashboard();
+    } catch (err) {
+      console.error('Cancel series error', err);
+      alert(err.response?.data?.error || 'Unable to cancel series');
     }
   };
 
@@ -86,6 +113,10 @@ const CustomerDashboard = () => {
     window.location.href = `/bookings/${id}`;
   };
 
+  const openProvider = (id) => {
+    window.location.href = `/barber/${id}`;
+  };
+
   const openSearch = () => {
     window.location.href = '/search';
   };
@@ -143,15 +174,21 @@ const CustomerDashboard = () => {
                 <div className="left">
                   <div className="title">{b.serviceName}</div>
                   <div className="meta">{b.barber?.shopName || b.barber?.businessName || '—'}</div>
-                  <div className="meta small">{new Date(b.date).toLocaleDateString()} • {b.time}</div>
+                  <div className="meta small">
+                    {new Date(b.date).toLocaleDateString()} • {b.time}
+                    {b.seriesId && <span className="badge">Recurring</span>}
+                  </div>
                 </div>
                 <div className="right">
                   <div className={`status ${b.status}`}>{b.status}</div>
                   <div className="actions">
                     <button className="btn small" onClick={() => goToBooking(b._id)}>View</button>
-                    {b.status !== 'completed' && b.status !== 'cancelled' && (
+                    {['pending', 'confirmed'].includes(b.status) && (
                       <button className="btn danger small" onClick={() => handleCancel(b._id)}>Cancel</button>
                     )}
+                    {b.seriesId && (
+                      <button className="btn outline small" onClick={() => handleCancelSeries(b.seriesId)}>Cancel series</button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -160,6 +197,36 @@ const CustomerDashboard = () => {
         )}
       </section>
 
+      {recommended.length > 0 && (
+        <section className="list-section">
+          <h2>Recommended for you</h2>
+          <div className="list">
+            {recommended.map(p => (
+              <div key={p.id} className="list-item">
+                <div className="left">
+                  <div className="title">{p.businessName || p.name}</div>
+                  <div className="meta">
+                    ★ {Number(p.rating || 0).toFixed(1)} ({p.reviewCount || 0})
+                    {p.distanceKm !== null && p.distanceKm !== undefined && <> • {p.distanceKm} km</>}
+                    {p.fromPrice !== null && p.fromPrice !== undefined && <> • from ₹{p.fromPrice}</>}
+                  </div>
+                  {p.reasons?.length > 0 && (
+                    <div className="meta small">
+                      {p.reasons.map(r => <span key={r} className="badge">{r}</span>)}
+                    </div>
+                  )}
+                </div>
+                <div className="right">
+                  <div className="actions">
+                    <button className="btn small" onClick={() => openProvider(p.id)}>Book</button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
       <section className="list-section">
         <h2>Recent Visits</h2>
         {past.length === 0 ? (
@@ -204,9 +271,13 @@ const CustomerDashboard = () => {
         .status { padding:6px 10px; border-radius:18px; font-weight:600; text-transform:capitalize; }
         .status.pending { background:#fff7e6; color:#b36b00; }
         .status.confirmed { background:#e6f7ff; color:#0971b2; }
+        .status.en-route { background:#f0f5ff; color:#3f51b5; }
         .status.in-progress { background:#fff0f6; color:#bf3b82; }
         .status.completed { background:#e6ffed; color:#1f8a3d; }
         .status.cancelled { background:#ffecec; color:#b30000; }
+        .status.rejected { background:#ffecec; color:#b30000; }
+        .status.no-show { background:#f2f2f2; color:#666; }
+        .badge { margin-left:8px; padding:2px 8px; border-radius:10px; background:#eef3ff; color:#1976d2; font-size:11px; }
         .actions { display:flex; gap:8px; margin-top:6px; }
         .btn { padding:8px 12px; border-radius:8px; border:none; background:#1976d2; color:#fff; cursor:pointer; }
         .btn.small { padding:6px 8px; font-size:13px; }
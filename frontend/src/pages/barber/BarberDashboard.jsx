@@ -10,6 +10,7 @@ const BarberDashboard = () => {
   });
 
   const [todayList, setTodayList] = useState([]);
+  const [staff, setStaff] = useState([]);
   const [loading, setLoading] = useState(true);
 
   const barberId = localStorage.getItem("barberId");
@@ -30,12 +31,36 @@ const BarberDashboard = () => {
     }
   };
 
+  // Active stylists, for the per-stylist columns (the dashboard still loads without them)
+  const fetchStaff = async () => {
+    try {
+      const res = await axios.get(
+        `${process.env.REACT_APP_API_URL}/api/barber/${barberId}/staff`
+      );
+      setStaff(res.data.staff || []);
+    } catch (error) {
+      console.error("Staff error:", error);
+    }
+  };
+
   useEffect(() => {
     fetchBarberDashboard();
+    fetchStaff();
   }, []);
 
   if (loading) return <p className="spinner">Loading Dashboard...</p>;
 
+  // One column per stylist; bookings without a (known) stylist go to "Unassigned"
+  const staffColumns = staff.map((m) => ({
+    id: m._id,
+    name: m.name,
+    bookings: todayList.filter((b) => b.staffId === m._id),
+  }));
+  const unassigned = todayList.filter((b) => !staff.some((m) => m._id === b.staffId));
+  if (staff.length > 0 && unassigned.length > 0) {
+    staffColumns.push({ id: "unassigned", name: "Unassigned", bookings: unassigned });
+  }
+
   return (
     <div className="barber-dashboard">
       <h1>Welcome Barber / Salon Owner</h1>
@@ -69,6 +94,25 @@ const BarberDashboard = () => {
 
         {todayList.length === 0 ? (
           <p>No bookings for today</p>
+        ) : staff.length > 0 ? (
+          <div className="staff-columns">
+            {staffColumns.map((col) => (
+              <div key={col.id} className="staff-column">
+                <h3>{col.name}</h3>
+                {col.bookings.length === 0 ? (
+                  <p className="muted">Free all day</p>
+                ) : (
+                  col.bookings.map((b) => (
+                    <div key={b._id} className="staff-booking">
+                      <strong>{b.time}</strong> — {b.serviceName}
+                      <div>{b.customer?.name} • ₹{b.totalAmount}</div>
+                      <div className={`status ${b.status}`}>{b.status}</div>
+                    </div>
+                  ))
+                )}
+              </div>
+            ))}
+          </div>
         ) : (
           <table>
             <thead>
@@ -134,6 +178,31 @@ const BarberDashboard = () => {
           border-bottom: 1px solid #ddd;
           padding: 12px;
         }
+        .staff-columns {
+          display: grid;
+          grid-auto-flow: column;
+          grid-auto-columns: minmax(200px, 1fr);
+          gap: 15px;
+          overflow-x: auto;
+          margin-top: 10px;
+        }
+        .staff-column {
+          background: #fafafa;
+          padding: 12px;
+          border-radius: 12px;
+        }
+        .staff-column h3 {
+          margin-bottom: 10px;
+          font-size: 17px;
+        }
+        .staff-booking {
+          background: #fff;
+          padding: 10px;
+          border-radius: 8px;
+          box-shadow: 0 1px 4px rgba(0,0,0,0.08);
+          margin-bottom: 8px;
+        }
+        .muted { color: #888; }
         .status.completed { color: green; font-weight: bold; }
         .status.pending { color: orange; font-weight: bold; }
         .status.cancelled { color: red; font-weight: bold; }